@@ -0,0 +1,941 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import sharp from 'sharp';
+import { summarize } from './stats.js';
+import { FORMATS, EQUAL_QUALITY_METRICS, resolveBenchmarkSpec, expandEncodings, describeResizeTarget } from './spec.js';
+import { measureRuns, measureThroughput, toMB } from './measure.js';
+import { IO_INPUTS, IO_OUTPUTS, createTaskFn, createOpenFn, saveTaskOutput, slotOutputPath } from './tasks.js';
+import { ISOLATION_MODES, runIsolated } from './isolation.js';
+import { engineSupports } from './capabilities.js';
+import { describeEngines, loadEngines } from './engines.js';
+import { hashFile } from './compare.js';
+import { aggregateCorpus } from './corpus.js';
+import { getRawData, calculateMetrics, calculateGreyMetrics, measureSimilarity } from './metrics.js';
+import { searchQuality } from './qualitySearch.js';
+import { resizeGeometry, outputDimensions } from './resize.js';
+import { TAGGED_PROFILE, auditMetadata, createTaggedInput, prepareColourReferences, readMetadata } from './metadataAudit.js';
+import { createOrientationVariants, checkOrientation } from './orientation.js';
+import { measurePhases } from './phases.js';
+import { createIntermediateCache } from './intermediate.js';
+
+// ベンチマークの実行本体（HTTPサーバー index.js と CLI cli.js から共通で使う）
+// エンジンの対応判定は capabilities.js のプローブ結果を使うため、呼び出し側は先に probeCapabilities() を実行しておくこと
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_ROOT = path.join(__dirname, '../output');
+
+// 計測回数の設定（環境変数で既定値を変更可能）
+const DEFAULT_WARMUP = parseInt(process.env.BENCHMARK_WARMUP || '1', 10);
+const DEFAULT_ITERATIONS = parseInt(process.env.BENCHMARK_ITERATIONS || '5', 10);
+const MAX_WARMUP = 10;
+const MAX_ITERATIONS = 50;
+// 分離実行モード（none: 同一プロセス / process: エンジン×操作ごとに子プロセス）
+const DEFAULT_ISOLATION = ISOLATION_MODES.includes(process.env.BENCHMARK_ISOLATION) ? process.env.BENCHMARK_ISOLATION : 'none';
+
+// リクエストから計測回数を解決する（未指定・不正値は既定値、上限でクランプ）
+// phases: 処理段階ごとの時間も計測する（フォームからは 'true' の文字列で届く）
+export function resolveRunOptions(body = {}) {
+  const parseCount = (value, fallback, min, max) => {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) return fallback;
+    return Math.min(max, Math.max(min, parsed));
+  };
+
+  return {
+    warmup: parseCount(body.warmup, DEFAULT_WARMUP, 0, MAX_WARMUP),
+    iterations: parseCount(body.iterations, DEFAULT_ITERATIONS, 1, MAX_ITERATIONS),
+    isolation: ISOLATION_MODES.includes(body.isolation) ? body.isolation : DEFAULT_ISOLATION,
+    phases: body.phases === true || body.phases === 'true'
+  };
+}
+
+// エンジンIDごとのバージョン（{ lazyImage, sharp, ... }）
+export function versionsOf(engines) {
+  return Object.fromEntries(engines.map(engine => [engine.id, engine.version()]));
+}
+
+// 実行環境（エクスポートしたレポートで、どのマシンで計測した結果かを示すため）
+export function describeEnvironment() {
+  const cpus = os.cpus();
+  return {
+    node: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    osRelease: os.release(),
+    cpuModel: cpus[0]?.model?.trim() ?? null,
+    cpuCount: cpus.length,
+    totalMemoryMB: Math.round(os.totalmem() / 1024 / 1024)
+  };
+}
+
+// ベンチマーク実行
+// onProgress が指定されている場合、カテゴリ・操作ごとの進捗イベントを通知する
+// outputKey は出力先（outputRoot 以下）のサブパス。コーパスでは画像ごとに分ける
+// outputRoot はセッションとして保存しない実行（--save なしの CLI）で一時ディレクトリを指定する
+export async function runBenchmark(inputPath, sessionId, { runOptions = resolveRunOptions(), spec: specInput = null, onProgress = null, outputKey = sessionId, outputRoot = OUTPUT_ROOT } = {}) {
+  // スペックを検証・展開（不正な場合はSpecValidationErrorを投げる）
+  const spec = resolveBenchmarkSpec(specInput);
+  const engines = await loadEngines();
+
+  const outputDir = path.join(outputRoot, outputKey);
+  const outputUrl = `/output/${outputKey}`;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const originalStats = fs.statSync(inputPath);
+  const originalMetadata = await sharp(inputPath).metadata();
+
+  // 参照データの準備（画質評価用）
+  // 注意: 大きすぎる画像はメモリ不足になる可能性があるため、一定サイズ以下の場合のみ計算するなどの制限が必要だが、
+  // ここではデモ用にそのまま処理する。実運用ではリサイズやクロップが必要。
+  // 参照の作り方（buildReference）は、中間形式に対する指標の計算にも使う
+  let zeroCopyRef = null;
+  const resizeRefs = {};
+  const resizeRefBuilders = Object.fromEntries(spec.resize.map(target => [
+    describeResizeTarget(target),
+    (source) => buildResizeReference(source, originalMetadata, target)
+  ]));
+  
+  try {
+    // Zero-Copy用参照データ（元画像そのまま）。同一画質比較・RDスイープ・I/O モードでも同じ参照を使う
+    if (['zeroCopy', 'equalQuality', 'rdSweep', 'ioModes'].some(name => spec.categories.includes(name))) {
+      if (originalStats.size < 50 * 1024 * 1024) { // 50MB以下ならメモリに乗せる
+         zeroCopyRef = await buildOriginalReference(inputPath);
+         console.log(`[Metrics] Zero-Copy reference prepared: ${zeroCopyRef.width}x${zeroCopyRef.height}, data length: ${zeroCopyRef.data.length}`);
+      } else {
+        console.log(`[Metrics] Skipping Zero-Copy reference (file too large: ${(originalStats.size / 1024 / 1024).toFixed(2)}MB)`);
+      }
+    }
+    
+    // Resize用参照データ（buildResizeReference 参照）
+    if (spec.categories.includes('resize')) {
+      for (const [targetLabel, build] of Object.entries(resizeRefBuilders)) {
+        const ref = await build(inputPath);
+        resizeRefs[targetLabel] = ref;
+        console.log(`[Metrics] Resize reference prepared: ${ref.width}x${ref.height}, data length: ${ref.data.length}`);
+      }
+    }
+  } catch (e) {
+    console.warn('Failed to prepare reference data for metrics:', e);
+    console.warn('Stack:', e.stack);
+  }
+
+  const results = {
+    original: {
+      filename: path.basename(inputPath),
+      size: originalStats.size,
+      width: originalMetadata.width,
+      height: originalMetadata.height,
+      format: originalMetadata.format,
+      // ベースラインとの比較で同じ入力かを判定するため
+      sha256: await hashFile(inputPath)
+    },
+    engines: describeEngines(engines),
+    versions: versionsOf(engines),
+    environment: describeEnvironment(),
+    runOptions,
+    spec,
+    categories: []
+  };
+
+  const report = (event) => onProgress?.(event);
+  report({ type: 'benchmark-start', original: results.original, engines: results.engines, versions: results.versions, runOptions, spec });
+
+  // 各テストで共通の実行コンテキスト
+  // source は出力サイズの検証用（元画像のサイズ）
+  // intermediates はエンジンが読めない入力の中間形式（セッション内で入力ごとに1回だけ変換する）
+  const source = { width: originalMetadata.width, height: originalMetadata.height };
+  const intermediates = createIntermediateCache(spec.intermediate, outputDir);
+  const context = { inputPath, source, outputDir, outputUrl, sessionId, runOptions, spec, engines, intermediates, report };
+
+  // カテゴリを登録して結果を返す（進捗イベントも通知）
+  // kind は結果の形が通常と異なるカテゴリ（rdSweep）の識別用
+  const runCategory = async ({ name, description, highlight, kind }, runTests) => {
+    const index = results.categories.length;
+    report({ type: 'category-start', index, name, description, highlight, kind });
+    const category = { name, description, highlight, ...(kind && { kind }), results: [] };
+    results.categories.push(category);
+    category.results = await runTests({ ...context, category: name, categoryIndex: index });
+    report({ type: 'category-finish', index, name });
+  };
+
+  // Category 1: Zero-Copy conversion (no resize) - lazy-image's strength
+  if (spec.categories.includes('zeroCopy')) {
+    await runCategory({
+      name: 'Zero-Copy Conversion (No Resize)',
+      description: 'lazy-image\'s strength: Direct conversion without copying pixel buffers',
+      highlight: 'lazyImage'
+    }, (ctx) => runZeroCopyTests(ctx, zeroCopyRef));
+  }
+
+  // Category 2: Resize + Conversion - Common features
+  if (spec.categories.includes('resize')) {
+    await runCategory({
+      name: 'Resize + Format Conversion',
+      description: `Common features: Resize to ${spec.resize.map(describeResizeTarget).join(', ')}, then convert to each format`,
+      highlight: null
+    }, (ctx) => runResizeTests(ctx, resizeRefs, resizeRefBuilders));
+  }
+
+  // Category 3: Advanced operations - sharp's strength
+  // Advanced operations change the image content significantly (crop, blur, grayscale), so SSIM/PSNR 
+  // against the original is not useful. We skip metrics for this category.
+  if (spec.categories.includes('advanced')) {
+    await runCategory({
+      name: 'Advanced Image Operations',
+      description: 'sharp\'s strength: Advanced operations (lazy-image support detected at startup)',
+      highlight: 'sharp'
+    }, (ctx) => runAdvancedTests(ctx));
+  }
+
+  // Category 4: Throughput under concurrent load
+  if (spec.categories.includes('throughput')) {
+    const { concurrency, operationsPerWorker } = spec.throughput;
+    await runCategory({
+      name: 'Concurrency & Throughput',
+      description: `Concurrent conversions at ${concurrency.join('/')} in flight (${operationsPerWorker} per worker): ops/sec, latency percentiles and peak memory`,
+      highlight: null
+    }, (ctx) => runThroughputTests(ctx));
+  }
+
+  // Category 5: Equal-quality comparison (quality searched per engine)
+  if (spec.categories.includes('equalQuality')) {
+    const { metric, target } = spec.equalQuality;
+    await runCategory({
+      name: 'Equal-Quality Size Comparison',
+      description: `Quality searched per engine until ${EQUAL_QUALITY_METRICS[metric].label} reaches ${target.join(' / ')}: file size and encode time at the matched quality`,
+      highlight: null
+    }, (ctx) => runEqualQualityTests(ctx, zeroCopyRef));
+  }
+
+  // Category 6: Rate-distortion sweep (size / quality / time curves per engine)
+  if (spec.categories.includes('rdSweep')) {
+    const { quality } = spec.rdSweep;
+    await runCategory({
+      name: 'Rate-Distortion Sweep',
+      description: `Encode at ${quality.length} quality settings (q${quality[0]}–${quality[quality.length - 1]}): bytes, bits per pixel, SSIM/PSNR and encode time per point`,
+      highlight: null,
+      kind: 'rdSweep'
+    }, (ctx) => runRdSweepTests(ctx, zeroCopyRef));
+  }
+
+  // Category 7: Metadata preservation audit (EXIF / ICC / XMP / IPTC / orientation)
+  if (spec.categories.includes('metadata')) {
+    await runCategory({
+      name: 'Metadata Preservation',
+      description: 'Which metadata blocks survive each engine\'s output (default and keepMetadata), for the uploaded image and a copy tagged with EXIF, a Display P3 profile and XMP; flags colour-profile loss',
+      highlight: null,
+      kind: 'metadata'
+    }, (ctx) => runMetadataTests(ctx));
+  }
+
+  // Category 8: EXIF orientation correctness (the upload re-tagged with orientations 1-8)
+  if (spec.categories.includes('orientation')) {
+    await runCategory({
+      name: 'EXIF Orientation',
+      description: 'Inputs tagged with each EXIF orientation (1–8), converted with each engine\'s defaults and with autoOrient: pass/fail against the auto-oriented upload, plus timings',
+      highlight: null
+    }, (ctx) => runOrientationTests(ctx));
+  }
+
+  // Category 9: I/O mode matrix (path / buffer input × file / buffer / stream output)
+  if (spec.categories.includes('ioModes')) {
+    await runCategory({
+      name: 'I/O Mode Matrix',
+      description: 'The same conversion with input from a path or an in-memory buffer, and output to a file, a buffer or a stream: where the zero-copy advantage holds',
+      highlight: null
+    }, (ctx) => runIoModeTests(ctx, zeroCopyRef));
+  }
+
+  return results;
+}
+
+// コーパス（複数画像）ベンチマーク実行
+// 画像ごとに runBenchmark を実行し、操作ごとの集計を付与する。失敗した画像はエラーとして記録して続行する
+export async function runCorpusBenchmark(inputs, sessionId, { runOptions = resolveRunOptions(), spec: specInput = null, onProgress = null, outputRoot = OUTPUT_ROOT } = {}) {
+  const spec = resolveBenchmarkSpec(specInput);
+  const engines = await loadEngines();
+  const report = (event) => onProgress?.(event);
+  const images = [];
+
+  for (const [index, input] of inputs.entries()) {
+    report({ type: 'image-start', imageIndex: index, total: inputs.length, filename: input.originalName });
+    try {
+      const imageResults = await runBenchmark(input.path, sessionId, {
+        runOptions,
+        spec,
+        outputKey: `${sessionId}/${String(index + 1).padStart(3, '0')}`,
+        outputRoot,
+        onProgress: (event) => report({ ...event, imageIndex: index })
+      });
+      images.push({ originalName: input.originalName, ...imageResults });
+    } catch (error) {
+      console.error(`[corpus] ${input.originalName} failed:`, error.message);
+      images.push({ originalName: input.originalName, error: error.message });
+    }
+    report({ type: 'image-finish', imageIndex: index, total: inputs.length, filename: input.originalName });
+  }
+
+  return {
+    engines: describeEngines(engines),
+    versions: versionsOf(engines),
+    environment: describeEnvironment(),
+    runOptions,
+    spec,
+    images,
+    aggregates: aggregateCorpus(images, engines.map(engine => engine.id))
+  };
+}
+
+// Zero-Copy conversion test (no resize) - Optimized for Zero-Copy
+async function runZeroCopyTests(context, refRaw) {
+  const results = [];
+
+  // ✅ Read from file path directly (better memory efficiency)
+  // ✅ No resize, so Zero-Copy's strength is maximized
+  // ✅ AVIF is lazy-image's biggest strength (speed and file size), JPEG leverages mozjpeg
+  for (const { format, quality, label, ext } of expandEncodings(context.spec)) {
+    results.push(await runSingleTest({
+      operation: `${label} Conversion q${quality} (No Resize)`,
+      ...context,
+      refRaw,
+      buildReference: buildOriginalReference,
+      task: { type: 'encode', format, quality },
+      expectedDimensions: context.source,
+      outputExt: ext
+    }));
+  }
+
+  return results;
+}
+
+// Resize + conversion test - Optimized
+async function runResizeTests(context, refs, builders) {
+  const { spec, source } = context;
+  const results = [];
+
+  for (const target of spec.resize) {
+    const targetLabel = describeResizeTarget(target);
+    const expectedDimensions = outputDimensions(resizeGeometry(source, target));
+
+    for (const { format, quality, label, ext } of expandEncodings(spec)) {
+      results.push(await runSingleTest({
+        operation: `Resize ${targetLabel} + ${label} q${quality}`,
+        ...context,
+        refRaw: refs[targetLabel],
+        buildReference: builders[targetLabel],
+        task: { type: 'encode', format, quality, resize: target },
+        expectedDimensions,
+        outputExt: `_resize${ext}`
+      }));
+    }
+  }
+
+  return results;
+}
+
+// Advanced operations test (engine support is detected by the startup capability probe)
+async function runAdvancedTests(context) {
+  const advancedOperations = [
+    { operation: 'PNG Compression', task: { type: 'png', compressionLevel: 9 }, outputExt: '.png' },
+    { operation: '90° Rotation', task: { type: 'rotate', angle: 90 }, outputExt: '_rotate.jpg' },
+    { operation: 'Crop (Center 50%)', task: { type: 'crop', ratio: 0.5 }, outputExt: '_crop.jpg' },
+    { operation: 'Blur (sigma: 5)', task: { type: 'blur', sigma: 5 }, outputExt: '_blur.jpg' },
+    { operation: 'Grayscale', task: { type: 'grayscale' }, outputExt: '_gray.jpg' }
+  ];
+
+  const results = [];
+  for (const { operation, task, outputExt } of advancedOperations) {
+    results.push(await runSingleTest({
+      operation,
+      ...context,
+      task,
+      outputExt
+    }));
+  }
+
+  return results;
+}
+
+// 画質評価用の参照（元画像そのまま）。source は元画像または中間形式のパス
+function buildOriginalReference(source) {
+  return getRawData(source);
+}
+
+// Resize用の参照（Sharpで最高品質でリサイズしたものを正解とする）
+// エンジンと同じく resize.js で計算したサイズに縮小し、exact は同じ範囲を切り抜く
+async function buildResizeReference(source, dimensions, target) {
+  const { width, height, crop } = resizeGeometry(dimensions, target);
+  return crop
+    ? getRawData(await sharp(source).resize(width, height, { fit: 'fill' }).extract(crop).png().toBuffer())
+    : getRawData(source, width, height);
+}
+
+// Equal-quality test - search the quality setting per engine, then measure at the matched quality
+// 同じ quality 値でもエンコーダーごとに画質が異なるため、目標の画質指標に揃えてサイズと時間を比べる
+async function runEqualQualityTests(context, refRaw) {
+  const { inputPath, outputDir, categoryIndex, report, spec, engines, intermediates } = context;
+  const { metric, target: targets } = spec.equalQuality;
+  const metricLabel = EQUAL_QUALITY_METRICS[metric].label;
+  const results = [];
+
+  for (const format of spec.formats) {
+    const { label, ext } = FORMATS[format];
+    // 対応判定用（quality はエンジンごとに探索する）
+    const encodeTask = { type: 'encode', format };
+    for (const target of targets) {
+      const operation = `${label} @ ${metricLabel} ≥ ${target}`;
+
+      if (!refRaw) {
+        const error = 'Reference image unavailable (original too large for quality metrics)';
+        const result = { operation };
+        for (const engine of engines) {
+          result[engine.id] = engineSupports(engine.id, encodeTask)
+            ? { supported: true, error, time: null, size: null }
+            : { supported: false };
+        }
+        report({ type: 'result', categoryIndex, result });
+        results.push(result);
+        continue;
+      }
+
+      // 探索用のエンコードは計測対象外（1回ずつ実行し、画質指標だけを見る）
+      const probePath = path.join(outputDir, `probe_${uuidv4()}${ext}`);
+      const probeWith = (encode) => async (quality) => {
+        await encode({ type: 'encode', format, quality }, probePath);
+        const value = await measureSimilarity(refRaw, probePath, metric);
+        const size = fs.statSync(probePath).size;
+        fs.rmSync(probePath, { force: true });
+        return { value: Math.round(value * 10000) / 10000, size };
+      };
+
+      const searches = {};
+      for (const engine of engines) {
+        if (!engineSupports(engine.id, encodeTask)) continue;
+        // 入力を読めない（native で中間形式を使わない）エンジンは探索せず、非対応として結果に残す
+        const prepared = await intermediates.resolve(engine, inputPath);
+        if (!prepared) {
+          searches[engine.id] = { unsupported: true };
+          continue;
+        }
+        report({ type: 'operation-start', categoryIndex, operation, engine: engine.id, phase: 'search' });
+        const open = createOpenFn(engine, encodeTask, prepared.path, prepared.raw);
+        try {
+          searches[engine.id] = await searchQuality(
+            probeWith(async (task, out) => createTaskFn(engine, task)(await open(), out)),
+            { target }
+          );
+        } catch (error) {
+          console.error(`[${operation}] ${engine.label} quality search failed:`, error.message);
+          searches[engine.id] = { error: error.message };
+        }
+      }
+
+      const describeSearch = (search) => {
+        if (!search || search.unsupported) return 'not supported';
+        return search.error ? search.error : `q${search.quality} (${search.value}${search.reached ? '' : ', target not reached'})`;
+      };
+      console.log(`[${operation}] ${engines.map(engine => `${engine.label}: ${describeSearch(searches[engine.id])}`).join(', ')}`);
+
+      // 探索に失敗したエンジンは計測せず、エラーとして結果に残す（非対応で探索しなかった場合は何も付けない）
+      const taskFor = (search) => (!search || search.error || search.unsupported ? null : { type: 'encode', format, quality: search.quality });
+      const detailsFor = (search) => (!search ? {} : search.unsupported ? { supported: false } : search.error
+        ? { error: search.error, time: null, size: null }
+        : {
+          equalQuality: {
+            metric,
+            target,
+            quality: search.quality,
+            achieved: search.value,
+            reached: search.reached,
+            probes: search.probes
+          }
+        });
+
+      const result = await runSingleTest({
+        ...context,
+        operation,
+        refRaw,
+        buildReference: buildOriginalReference,
+        task: encodeTask,
+        engineTasks: Object.fromEntries(engines.map(engine => [engine.id, taskFor(searches[engine.id])])),
+        outputExt: ext,
+        engineDetails: Object.fromEntries(engines.map(engine => [engine.id, detailsFor(searches[engine.id])])),
+        expectedDimensions: context.source
+      });
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+// Rate-distortion sweep - encode at every quality setting and record one curve per engine
+// 点数が多いため分離実行には対応せず、常にプロセス内で計測する
+// 画質指標は輝度のSSIM/PSNRのみ（点ごとに色差まで計算すると時間がかかりすぎるため）
+async function runRdSweepTests(context, refRaw) {
+  const { inputPath, outputDir, outputUrl, runOptions, categoryIndex, report, spec, engines, intermediates } = context;
+  const { quality: qualities, iterations } = spec.rdSweep;
+  const { width, height } = await sharp(inputPath).metadata();
+  const pixels = width * height;
+  const results = [];
+
+  // ウォームアップはエンジン×フォーマットごとに最初の点でのみ行う
+  const sweep = async ({ operation, engine, format, ext, open }) => {
+    const points = [];
+    for (const [index, quality] of qualities.entries()) {
+      report({ type: 'operation-start', categoryIndex, operation, engine: engine.id, phase: 'sweep', quality });
+      const taskFn = createTaskFn(engine, { type: 'encode', format, quality });
+      const outputFilename = `rd_${engine.id.toLowerCase()}_${format}_q${quality}${ext}`;
+      const outputPath = path.join(outputDir, outputFilename);
+      const warmup = index === 0 ? runOptions.warmup : 0;
+
+      const measurement = await measureRuns({
+        setup: open,
+        run: (image) => taskFn(image, outputPath)
+      }, { warmup, iterations });
+      const timeStats = summarize(measurement.samples);
+      const size = fs.statSync(outputPath).size;
+      const metrics = refRaw ? await calculateGreyMetrics(refRaw, outputPath) : {};
+
+      points.push({
+        quality,
+        size,
+        bpp: Math.round((size * 8 / pixels) * 10000) / 10000,
+        ...metrics,
+        time: Math.round(timeStats.median),
+        stats: { ...timeStats, warmup },
+        dimensions: await readDimensions(outputPath),
+        url: `${outputUrl}/${outputFilename}`
+      });
+    }
+    return points;
+  };
+
+  for (const format of spec.formats) {
+    const { label, ext } = FORMATS[format];
+    const operation = `${label} rate-distortion (q${qualities[0]}–${qualities[qualities.length - 1]})`;
+    const result = { operation, format };
+
+    for (const engine of engines) {
+      if (!engineSupports(engine.id, { type: 'encode', format })) {
+        result[engine.id] = { supported: false };
+        continue;
+      }
+
+      const prepared = await intermediates.resolve(engine, inputPath);
+      if (!prepared) {
+        result[engine.id] = { supported: false };
+        continue;
+      }
+      try {
+        const open = createOpenFn(engine, { type: 'encode', format }, prepared.path, prepared.raw);
+        const points = await sweep({ operation, engine, format, ext, open });
+        result[engine.id] = { supported: true, points, intermediate: prepared.intermediate };
+      } catch (error) {
+        console.error(`[${operation}] ${engine.label} error:`, error.message);
+        result[engine.id] = { supported: true, error: error.message, time: null, size: null };
+      }
+      report({ type: 'operation-finish', categoryIndex, operation, engine: engine.id, result: result[engine.id] });
+    }
+
+    console.log(`[${operation}] ${engines.map(engine => `${engine.label}: ${result[engine.id].points?.length ?? 0} points`).join(', ')}`);
+    report({ type: 'result', categoryIndex, result });
+    results.push(result);
+  }
+
+  return results;
+}
+
+// Metadata audit - convert once per format / mode and inspect which metadata blocks survived
+// 計測ではないので1回だけ変換する。アップロード画像にはメタデータがないことが多いため、タグ付きのコピーでも確認する
+async function runMetadataTests(context) {
+  const { inputPath, outputDir, outputUrl, categoryIndex, report, spec, engines, intermediates } = context;
+  const taggedPath = await createTaggedInput(inputPath, path.join(outputDir, 'metadata_tagged_input.jpg'));
+  const inputs = [
+    { name: 'original', label: 'original input', path: inputPath },
+    { name: 'tagged', label: `tagged input: EXIF + ${TAGGED_PROFILE.toUpperCase()} ICC + XMP`, path: taggedPath }
+  ];
+  const modes = [
+    { name: 'default', label: 'default' },
+    { name: 'keep', label: 'keepMetadata' }
+  ];
+  const results = [];
+
+  for (const input of inputs) {
+    const inputMetadata = await readMetadata(input.path);
+    const colourReferences = await prepareColourReferences(input.path, inputMetadata);
+
+    for (const format of spec.formats) {
+      const { label, ext } = FORMATS[format];
+      const quality = spec.quality[format][0];
+      for (const mode of modes) {
+        const operation = `${label} q${quality} (${input.label}, ${mode.label})`;
+        const task = { type: 'encode', format, quality, ...(mode.name === 'keep' ? { keepMetadata: true } : {}) };
+        const result = { operation };
+
+        for (const engine of engines) {
+          // 中間形式はメタデータを残して作る（変換のせいで消えたように見えないようにする）
+          const prepared = engineSupports(engine.id, task)
+            && await intermediates.resolve(engine, input.path, { keepMetadata: true });
+          if (!prepared) {
+            result[engine.id] = { supported: false };
+            continue;
+          }
+          report({ type: 'operation-start', categoryIndex, operation, engine: engine.id });
+          try {
+            const outputFilename = `metadata_${engine.id.toLowerCase()}_${input.name}_${mode.name}${ext}`;
+            const outputPath = path.join(outputDir, outputFilename);
+            await createTaskFn(engine, task)(await createOpenFn(engine, task, prepared.path)(), outputPath);
+            result[engine.id] = {
+              supported: true,
+              size: fs.statSync(outputPath).size,
+              dimensions: await readDimensions(outputPath),
+              metadata: await auditMetadata(inputMetadata, outputPath, colourReferences),
+              intermediate: prepared.intermediate,
+              url: `${outputUrl}/${outputFilename}`
+            };
+          } catch (error) {
+            console.error(`[${operation}] ${engine.label} error:`, error.message);
+            result[engine.id] = { supported: true, error: error.message, time: null, size: null };
+          }
+          report({ type: 'operation-finish', categoryIndex, operation, engine: engine.id, result: result[engine.id] });
+        }
+
+        // カラープロファイルの消失は見た目の色が変わる正しさの違いなので、警告として表示する
+        const warnings = engines
+          .filter(engine => result[engine.id]?.metadata?.colour?.profileLost)
+          .map(engine => {
+            const { profile, colour } = result[engine.id].metadata;
+            return `${engine.label} drops the ${profile.input ?? 'embedded'} ICC profile without converting colours (mean ΔE00 ${colour.deltaE} vs colour-managed input)`;
+          });
+        if (warnings.length) result.warnings = warnings;
+
+        report({ type: 'result', categoryIndex, result });
+        results.push(result);
+      }
+    }
+  }
+
+  return results;
+}
+
+// EXIF orientation test - does the output display the same way as the auto-oriented input?
+// 通常の計測（runSingleTest）に、出力の向きの判定（checkOutput）を加える。指標は表示される向きで正解と比べた値
+async function runOrientationTests(context) {
+  const { inputPath, outputDir, spec } = context;
+  const { reference, variants } = await createOrientationVariants(inputPath, outputDir);
+  const format = spec.formats[0];
+  const quality = spec.quality[format][0];
+  const { label, ext } = FORMATS[format];
+  const modes = [
+    { label: 'default', task: {} },
+    { label: 'autoOrient', task: { autoOrient: true } }
+  ];
+  const results = [];
+
+  for (const variant of variants) {
+    for (const mode of modes) {
+      results.push(await runSingleTest({
+        operation: `Orientation ${variant.orientation} (${variant.label}) + ${label} q${quality}, ${mode.label}`,
+        ...context,
+        inputPath: variant.path,
+        task: { type: 'encode', format, quality, ...mode.task },
+        outputExt: `_orientation${ext}`,
+        checkOutput: (outputPath) => checkOrientation(reference, variant, outputPath)
+      }));
+    }
+  }
+
+  return results;
+}
+
+// I/O mode test - the zero-copy conversion with each input / output mode
+// 各フォーマットの最初の quality で、入力（path / buffer）× 出力（file / buffer / stream）を計測する
+async function runIoModeTests(context, refRaw) {
+  const { spec } = context;
+  const results = [];
+
+  for (const format of spec.formats) {
+    const quality = spec.quality[format][0];
+    const { label, ext } = FORMATS[format];
+    for (const input of IO_INPUTS) {
+      for (const output of IO_OUTPUTS) {
+        results.push(await runSingleTest({
+          operation: `${label} q${quality} (${input} → ${output})`,
+          ...context,
+          refRaw,
+          buildReference: buildOriginalReference,
+          task: { type: 'encode', format, quality, io: { input, output } },
+          expectedDimensions: context.source,
+          outputExt: `_io${ext}`
+        }));
+      }
+    }
+  }
+
+  return results;
+}
+
+// Throughput test - K concurrent conversions per engine
+async function runThroughputTests(context) {
+  const { inputPath, source, outputDir, outputUrl, runOptions, report, categoryIndex, spec, engines, intermediates } = context;
+  const { format, quality, resize, concurrency: levels, operationsPerWorker } = spec.throughput;
+  const { label, ext } = FORMATS[format];
+  const task = { type: 'encode', format, quality, resize };
+  const expectedDimensions = resize ? outputDimensions(resizeGeometry(source, resize)) : source;
+  const isolated = runOptions.isolation === 'process';
+  const results = [];
+
+  const buildEngineResult = async (measurement, outputFilename, concurrency, total, intermediate) => {
+    const timeStats = summarize(measurement.samples);
+    const outputPath = path.join(outputDir, outputFilename);
+    return {
+      supported: true,
+      // time はレイテンシの中央値
+      time: Math.round(timeStats.median),
+      stats: { ...timeStats, warmup: runOptions.warmup },
+      throughput: {
+        concurrency,
+        operations: total,
+        wallTime: Math.round(measurement.wallTime),
+        opsPerSec: Math.round(measurement.opsPerSec * 100) / 100
+      },
+      size: fs.statSync(outputPath).size,
+      memoryUsed: toMB(measurement.memoryUsed),
+      memory: formatMemoryResult(measurement, isolated),
+      dimensions: await readDimensions(outputPath),
+      intermediate,
+      url: `${outputUrl}/${outputFilename}`
+    };
+  };
+
+  for (const concurrency of levels) {
+    const operation = `Throughput ×${concurrency} (${resize ? `Resize ${describeResizeTarget(resize)} + ` : ''}${label} q${quality})`;
+    const total = concurrency * operationsPerWorker;
+    const measureOptions = { warmup: runOptions.warmup, concurrency, total };
+    const baseName = operation.replace(/[^a-zA-Z0-9]/g, '_');
+    const result = { operation };
+
+    for (const engine of engines) {
+      if (!engineSupports(engine.id, task)) {
+        result[engine.id] = { supported: false };
+        continue;
+      }
+
+      const prepared = await intermediates.resolve(engine, inputPath, { isolated });
+      if (!prepared) {
+        result[engine.id] = { supported: false };
+        continue;
+      }
+
+      report({ type: 'operation-start', categoryIndex, operation, engine: engine.id });
+      try {
+        const outputFilename = `${engine.id.toLowerCase()}_${baseName}${ext}`;
+        const outputPath = path.join(outputDir, outputFilename);
+        const taskFn = createTaskFn(engine, task);
+        const measurement = isolated
+          ? await runIsolated({ engine: engine.id, task, inputPath: prepared.path, outputPath, runOptions, mode: 'throughput', concurrency, total })
+          : await measureThroughput({
+            setup: createOpenFn(engine, task, prepared.path, prepared.raw),
+            run: (image, slot) => taskFn(image, slotOutputPath(outputPath, slot))
+          }, measureOptions);
+        result[engine.id] = await buildEngineResult(measurement, outputFilename, concurrency, total, prepared.intermediate);
+      } catch (error) {
+        console.error(`[${operation}] ${engine.label} error:`, error.message);
+        result[engine.id] = { supported: true, error: error.message, time: null, size: null };
+      }
+      report({ type: 'operation-finish', categoryIndex, operation, engine: engine.id, result: result[engine.id] });
+    }
+
+    console.log(`[${operation}] ${engines.map(engine => `${engine.label}: ${result[engine.id].throughput?.opsPerSec ?? '-'} ops/s`).join(', ')}`);
+    addDimensionWarnings(result, engines, expectedDimensions);
+    report({ type: 'result', categoryIndex, result });
+    results.push(result);
+  }
+
+  return results;
+}
+
+// 出力画像の実際のサイズ（読めない場合は null）
+async function readDimensions(outputPath) {
+  try {
+    const { width, height } = await sharp(outputPath).metadata();
+    return { width, height };
+  } catch (error) {
+    console.warn(`[dimensions] Failed to read ${path.basename(outputPath)}:`, error.message);
+    return null;
+  }
+}
+
+// 出力サイズの検証: エンジン間でサイズが異なる場合や、期待するサイズと異なる場合は result.warnings に記録する
+// サイズが違うと処理量が揃わず、時間・サイズ・SSIMの比較が成り立たないため
+function addDimensionWarnings(result, engines, expectedDimensions) {
+  const describe = ({ width, height }) => `${width}x${height}`;
+  const measured = engines.filter(engine => result[engine.id]?.dimensions);
+  const warnings = [];
+
+  if (new Set(measured.map(engine => describe(result[engine.id].dimensions))).size > 1) {
+    warnings.push(`Output dimensions differ: ${measured.map(engine => `${engine.label} ${describe(result[engine.id].dimensions)}`).join(', ')}`);
+  }
+  if (expectedDimensions) {
+    for (const engine of measured) {
+      const actual = describe(result[engine.id].dimensions);
+      if (actual !== describe(expectedDimensions)) {
+        warnings.push(`${engine.label} output is ${actual}, expected ${describe(expectedDimensions)}`);
+      }
+    }
+  }
+
+  if (warnings.length) {
+    result.warnings = warnings;
+    console.warn(`[${result.operation}] ${warnings.join(' / ')}`);
+  }
+}
+
+// 計測結果のメモリ情報をレスポンス用（MB単位）に変換する
+function formatMemoryResult(measurement, isolated) {
+  return {
+    isolated,
+    heapUsed: toMB(measurement.memory.heapUsed),
+    rss: toMB(measurement.memory.rss),
+    peakRss: toMB(measurement.peakRss),
+    external: toMB(measurement.memory.external),
+    arrayBuffers: toMB(measurement.memory.arrayBuffers)
+  };
+}
+
+// Individual test execution - Optimized and Fair
+// 同じタスクをエンジンごとに計測し、エンジンIDをキーにした結果を返す
+async function runSingleTest(config) {
+  const {
+    operation,
+    inputPath,
+    outputDir,
+    outputUrl,
+    refRaw, // 参照用Rawデータ（これがある場合のみメトリクス計算）
+    buildReference = null, // refRaw の作り方（source => Rawデータ）。中間形式を使ったエンジンは中間形式に対する指標も計算する
+    intermediates,
+    runOptions = resolveRunOptions(),
+    report = () => {}, // 進捗通知（SSE用）
+    categoryIndex,
+    engines,
+    task, // 操作の定義（tasks.js参照）。エンジンが対応しているかもこれで判定する
+    engineTasks = {}, // エンジンごとに条件が異なる場合（同一画質比較など）に個別指定する。null のエンジンは計測しない
+    outputExt,
+    engineDetails = {}, // エンジンごとの結果に追加する情報
+    expectedDimensions = null, // 期待する出力サイズ（わかる操作のみ。エンジン間の比較は常に行う）
+    checkOutput = null // (outputPath) => 結果に追加する情報。出力の正しさを別の方法で確かめる場合（向きのテストなど）
+  } = config;
+  const isolated = runOptions.isolation === 'process';
+
+  const result = { operation };
+  for (const engine of engines) {
+    const supported = engineSupports(engine.id, task);
+    const engineTask = engine.id in engineTasks ? engineTasks[engine.id] : task;
+    result[engine.id] = { supported, ...engineDetails[engine.id] };
+    if (!supported || !engineTask) continue;
+
+    report({ type: 'operation-start', categoryIndex, operation, engine: engine.id });
+    try {
+      // ✅ Open from the file path in setup (outside the timed region)
+      // 読めない入力フォーマット（lazy-image の AVIF など）は中間形式で渡す（変換はセッションで1回だけ）
+      const prepared = await intermediates.resolve(engine, inputPath, { isolated });
+      if (!prepared) {
+        result[engine.id] = { supported: false };
+        report({ type: 'operation-finish', categoryIndex, operation, engine: engine.id, result: result[engine.id] });
+        continue;
+      }
+
+      const outputFilename = `${engine.id.toLowerCase()}_${operation.replace(/[^a-zA-Z0-9]/g, '_')}${outputExt}`;
+      const outputPath = path.join(outputDir, outputFilename);
+
+      let measurement;
+      let phases = null;
+      if (isolated) {
+        measurement = await runIsolated({ engine: engine.id, task: engineTask, inputPath: prepared.path, outputPath, runOptions });
+      } else {
+        const taskFn = createTaskFn(engine, engineTask);
+        measurement = await measureRuns({
+          setup: createOpenFn(engine, engineTask, prepared.path, prepared.raw),
+          run: (image) => taskFn(image, outputPath)
+        }, runOptions);
+        saveTaskOutput(measurement.output, outputPath);
+      }
+      if (runOptions.phases) {
+        // 内訳が計れなくても通常の計測結果は残す
+        phases = await measurePhases({ engine, task: engineTask, inputPath: prepared.path, raw: prepared.raw, outputDir, runOptions })
+          .catch((error) => {
+            console.warn(`[${operation}] ${engine.label} phase timing failed:`, error.message);
+            return null;
+          });
+      }
+      const timeStats = summarize(measurement.samples);
+
+      // サイズ取得（時間測定外）
+      const outputBuffer = fs.readFileSync(outputPath);
+
+      // メトリクス計算
+      let metrics = {};
+      if (refRaw) {
+        console.log(`[${operation}] Calculating metrics for ${engine.label} (ref: ${refRaw.width}x${refRaw.height})`);
+        metrics = await calculateMetrics(refRaw, outputPath);
+        console.log(`[${operation}] ${engine.label} metrics: SSIM=${metrics.ssim}, PSNR=${metrics.psnr}dB`);
+      } else if (!checkOutput) {
+        console.log(`[${operation}] Skipping metrics for ${engine.label} (no reference data)`);
+      }
+      if (checkOutput) {
+        metrics = { ...metrics, ...await checkOutput(outputPath) };
+      }
+
+      // 中間形式を使った場合は、エンジンが実際に受け取った画像に対する指標も計算する（元画像に対する指標との差が変換による劣化）
+      const intermediate = prepared.intermediate && { ...prepared.intermediate };
+      if (intermediate && refRaw && buildReference) {
+        const intermediateRef = await intermediates.reference(prepared, buildReference, refRaw);
+        const { ssim, psnr } = await calculateMetrics(intermediateRef, outputPath);
+        intermediate.metrics = { ssim, psnr };
+        console.log(`[${operation}] ${engine.label} metrics vs ${intermediate.format} intermediate: SSIM=${ssim}, PSNR=${psnr}dB`);
+      }
+
+      result[engine.id] = {
+        supported: true,
+        // time は中央値（外れ値の影響を抑えるため）
+        time: Math.round(timeStats.median),
+        // 中間形式への変換時間を含めた時間（変換はセッションで1回だけだが、その入力を処理するのに必要なコストとして加える）
+        totalTime: Math.round(timeStats.median) + (intermediate ? intermediate.conversionTime : 0),
+        stats: { ...timeStats, warmup: runOptions.warmup },
+        // 使用した中間形式（format / from / conversionTime / size / metrics）。元画像をそのまま読めた場合は null
+        intermediate,
+        size: outputBuffer.length,
+        // メモリ使用量（MB単位、処理中のピークメモリ - 初期メモリ）
+        // 注意: ガベージコレクションの影響で負の値になる場合があるが、その場合は0として扱う
+        memoryUsed: toMB(measurement.memoryUsed),
+        memory: formatMemoryResult(measurement, isolated),
+        // 実際の出力サイズ（エンジン間で処理量が揃っているかの確認用）
+        dimensions: await readDimensions(outputPath),
+        // 処理段階ごとの時間（runOptions.phases のときのみ）
+        ...(phases && { phases }),
+        url: `${outputUrl}/${outputFilename}`,
+        ...metrics,
+        ...engineDetails[engine.id]
+      };
+    } catch (error) {
+      console.error(`[${operation}] ${engine.label} error:`, error.message);
+      console.error(`[${operation}] Stack:`, error.stack);
+      result[engine.id] = {
+        supported: true,
+        error: error.message,
+        time: null,
+        size: null
+      };
+    }
+    report({ type: 'operation-finish', categoryIndex, operation, engine: engine.id, result: result[engine.id] });
+  }
+
+  addDimensionWarnings(result, engines, expectedDimensions);
+  report({ type: 'result', categoryIndex, result });
+  return result;
+}
+
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { FORMATS } from './spec.js';
+import { createTaskFn, createOpenFn, saveTaskOutput } from './tasks.js';
+
+// 各エンジンの対応状況（入力フォーマット・出力フォーマット・操作、エンジン固有メソッドの有無）を起動時に小さな画像で確認する
+// 対応フラグや AVIF 入力のフォールバックをハードコードせず、インストールされている版の実際の挙動に合わせる
+
+// 入力として読めるかを確認するフォーマット（sharp で作ったプローブ画像を読ませる）
+const INPUT_FORMATS = {
+  jpeg: (pipeline) => pipeline.jpeg(),
+  png: (pipeline) => pipeline.png(),
+  webp: (pipeline) => pipeline.webp(),
+  avif: (pipeline) => pipeline.avif()
+};
+
+// 操作ごとの代表的なタスク（index.js の Advanced Image Operations と同じ種類）
+const PROBE_OPERATIONS = {
+  resize: { type: 'encode', format: 'jpeg', quality: 80, resize: { width: 16, height: null } },
+  keepMetadata: { type: 'encode', format: 'jpeg', quality: 80, keepMetadata: true },
+  autoOrient: { type: 'encode', format: 'jpeg', quality: 80, autoOrient: true },
+  bufferInput: { type: 'encode', format: 'jpeg', quality: 80, io: { input: 'buffer' } },
+  bufferOutput: { type: 'encode', format: 'jpeg', quality: 80, io: { output: 'buffer' } },
+  streamOutput: { type: 'encode', format: 'jpeg', quality: 80, io: { output: 'stream' } },
+  png: { type: 'png', compressionLevel: 9 },
+  rotate: { type: 'rotate', angle: 90 },
+  crop: { type: 'crop', ratio: 0.5 },
+  blur: { type: 'blur', sigma: 5 },
+  grayscale: { type: 'grayscale' }
+};
+
+const PROBE_WIDTH = 32;
+const PROBE_HEIGHT = 24;
+
+let current = null;
+
+// sharp の metadata からフォーマット名を得る（AVIF は format: 'heif', compression: 'av1' と報告される）
+export function detectInputFormat(metadata) {
+  if (metadata.format === 'heif') {
+    return metadata.compression === 'av1' ? 'avif' : 'heif';
+  }
+  return metadata.format;
+}
+
+// 出力が期待どおりか確認する（例外が出なくても空ファイルや別フォーマットの場合は非対応とみなす）
+async function verifyOutput(outputPath, format, expected = {}) {
+  const metadata = await sharp(outputPath).metadata();
+  const actual = detectInputFormat(metadata);
+  if (actual !== format) {
+    throw new Error(`expected ${format} output, got ${actual}`);
+  }
+  if (expected.width != null && metadata.width !== expected.width) {
+    throw new Error(`expected width ${expected.width}, got ${metadata.width}`);
+  }
+}
+
+async function attempt(errors, key, fn) {
+  try {
+    await fn();
+    return true;
+  } catch (error) {
+    errors[key] = error.message;
+    return false;
+  }
+}
+
+async function probeEngine(engine, probeDir, sourcePath) {
+  const errors = {};
+  const outPath = (name) => path.join(probeDir, `${engine.id}_${name}`);
+  const run = async (task, inputPath, outputPath) => {
+    const output = await createTaskFn(engine, task)(await createOpenFn(engine, task, inputPath)(), outputPath);
+    saveTaskOutput(output, outputPath);
+  };
+
+  const outputFormats = {};
+  for (const [format, { ext }] of Object.entries(FORMATS)) {
+    const outputPath = outPath(`output${ext}`);
+    outputFormats[format] = await attempt(errors, `output:${format}`, async () => {
+      await run({ type: 'encode', format, quality: 80 }, sourcePath, outputPath);
+      await verifyOutput(outputPath, format);
+    });
+  }
+
+  // 入力の確認には、出力できたフォーマットのうち最初のものを使う
+  const decodeFormat = Object.keys(outputFormats).find(format => outputFormats[format]);
+  const inputFormats = {};
+  for (const format of Object.keys(INPUT_FORMATS)) {
+    inputFormats[format] = decodeFormat != null && await attempt(errors, `input:${format}`, async () => {
+      const outputPath = outPath(`decoded_${format}${FORMATS[decodeFormat].ext}`);
+      await run({ type: 'encode', format: decodeFormat, quality: 80 }, path.join(probeDir, `input.${format}`), outputPath);
+      await verifyOutput(outputPath, decodeFormat);
+    });
+  }
+
+  const operations = {};
+  for (const [name, task] of Object.entries(PROBE_OPERATIONS)) {
+    if (!createTaskFn(engine, task) || (task.io?.input === 'buffer' && !engine.openBuffer)) {
+      operations[name] = false;
+      continue;
+    }
+    const outputFormat = task.type === 'png' ? 'png' : task.format ?? 'jpeg';
+    const outputPath = outPath(`operation_${name}.${outputFormat}`);
+    operations[name] = await attempt(errors, `operation:${name}`, async () => {
+      await run(task, sourcePath, outputPath);
+      await verifyOutput(outputPath, outputFormat, task.resize ? { width: task.resize.width } : {});
+    });
+  }
+
+  let methods;
+  if (engine.methods) {
+    try {
+      methods = engine.methods();
+    } catch (error) {
+      errors.methods = error.message;
+    }
+  }
+
+  return {
+    label: engine.label,
+    version: engine.version(),
+    ...(methods && { methods }),
+    inputFormats,
+    outputFormats,
+    operations,
+    errors
+  };
+}
+
+// 起動時に1回実行し、結果を保持する
+export async function probeCapabilities(engines) {
+  const probeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-probe-'));
+  const results = {};
+
+  try {
+    const sourcePath = path.join(probeDir, 'source.png');
+    await sharp({
+      create: { width: PROBE_WIDTH, height: PROBE_HEIGHT, channels: 3, background: { r: 200, g: 120, b: 40 } }
+    }).png().toFile(sourcePath);
+    for (const [format, encode] of Object.entries(INPUT_FORMATS)) {
+      await encode(sharp(sourcePath)).toFile(path.join(probeDir, `input.${format}`));
+    }
+
+    for (const engine of engines) {
+      try {
+        results[engine.id] = await probeEngine(engine, probeDir, sourcePath);
+      } catch (error) {
+        // 想定外の失敗はすべて非対応として扱う
+        console.error(`[capabilities] Probe failed for ${engine.label}:`, error.message);
+        results[engine.id] = { label: engine.label, inputFormats: {}, outputFormats: {}, operations: {}, errors: { probe: error.message } };
+      }
+    }
+  } finally {
+    fs.rmSync(probeDir, { recursive: true, force: true });
+  }
+
+  current = { probedAt: new Date().toISOString(), engines: results };
+  return current;
+}
+
+export function getCapabilities() {
+  return current;
+}
+
+// エンジンでタスクを実行できるか（プローブしていないエンジンは非対応として扱う）
+export function engineSupports(engineId, task) {
+  const capabilities = current?.engines[engineId];
+  if (!capabilities) return false;
+  if (task.type === 'encode') {
+    return Boolean(capabilities.outputFormats[task.format])
+      && (!task.resize || Boolean(capabilities.operations.resize))
+      && (!task.keepMetadata || Boolean(capabilities.operations.keepMetadata))
+      && (!task.autoOrient || Boolean(capabilities.operations.autoOrient))
+      && (task.io?.input !== 'buffer' || Boolean(capabilities.operations.bufferInput))
+      && (!['buffer', 'stream'].includes(task.io?.output) || Boolean(capabilities.operations[`${task.io.output}Output`]));
+  }
+  return Boolean(capabilities.operations[task.type]);
+}
+
+// エンジンがこの入力フォーマットを直接読めるか
+export function engineReads(engineId, format) {
+  return Boolean(current?.engines[engineId]?.inputFormats[format]);
+}
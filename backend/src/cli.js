@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { resolveBenchmarkSpec } from './spec.js';
+import { createSessionStore, isValidSessionId } from './sessionStore.js';
+import { probeCapabilities } from './capabilities.js';
+import { loadEngines } from './engines.js';
+import { compareSessions, resolveThresholds } from './compare.js';
+import { resolveRunOptions, runBenchmark, runCorpusBenchmark } from './benchmark.js';
+import { describeMetadataAudit } from './metadataAudit.js';
+import { validateImageFile } from './imageValidation.js';
+
+// ヘッドレス実行用のCLI（サーバーを起動せずに同じベンチマーク本体を呼び出す）
+//   node src/cli.js bench <files...> [options]
+// ファイルが2つ以上ならコーパスとして実行する。ログは stderr に出し、stdout には結果の表だけを出す
+// 終了コード: 0 = 成功 / 1 = ベースラインに対する回帰あり / 2 = 引数・入力の誤りや実行時エラー
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: node src/cli.js bench <image...> [options]
+
+Options:
+  --ops <list>          Categories to run (zeroCopy,resize,advanced,throughput,equalQuality,rdSweep,metadata,orientation,ioModes)
+  --formats <list>      Output formats (webp,avif,jpeg)
+  --spec <file>         Benchmark spec JSON file (--ops / --formats override its keys)
+  --warmup <n>          Warm-up runs per operation
+  --iterations <n>      Measured runs per operation
+  --isolation <mode>    none | process
+  --phases              Also time decode / transform / encode / write separately
+  --json <file>         Write the full session JSON to a file
+  --save                Also save the session to backend/sessions (visible in the web UI)
+  --baseline <ref>      Compare against a session JSON file, a saved session id, or "saved" for the stored baseline
+  --time <ratio>        Regression threshold for time increase (default 0.1)
+  --size <ratio>        Regression threshold for size increase (default 0.01)
+  --memory <ratio>      Regression threshold for memory increase (default 0.1)
+  --ssim <delta>        Regression threshold for SSIM decrease (default 0.005)
+  --quiet               Suppress benchmark logs
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  ops: { type: 'string' },
+  formats: { type: 'string' },
+  spec: { type: 'string' },
+  warmup: { type: 'string' },
+  iterations: { type: 'string' },
+  isolation: { type: 'string' },
+  phases: { type: 'boolean' },
+  json: { type: 'string' },
+  save: { type: 'boolean' },
+  baseline: { type: 'string' },
+  time: { type: 'string' },
+  size: { type: 'string' },
+  memory: { type: 'string' },
+  ssim: { type: 'string' },
+  quiet: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const splitList = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
+
+// --spec / --ops / --formats からスペックを作る（検証は resolveBenchmarkSpec に任せる）
+function buildSpec(values) {
+  let spec = {};
+  if (values.spec) {
+    try {
+      spec = JSON.parse(fs.readFileSync(values.spec, 'utf-8'));
+    } catch (error) {
+      throw usageError(`Cannot read spec ${values.spec}: ${error.message}`);
+    }
+  }
+  if (values.ops) spec.categories = splitList(values.ops);
+  if (values.formats) spec.formats = splitList(values.formats);
+  return resolveBenchmarkSpec(spec);
+}
+
+function loadBaseline(ref, sessionStore) {
+  if (ref === 'saved') {
+    const id = sessionStore.getBaselineId();
+    if (!id) throw usageError('No baseline session is set');
+    return sessionStore.get(id);
+  }
+  if (isValidSessionId(ref) && sessionStore.get(ref)) {
+    return sessionStore.get(ref);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(ref, 'utf-8'));
+  } catch (error) {
+    throw usageError(`Cannot read baseline ${ref}: ${error.message}`);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.info(line(headers));
+  console.info(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.info(line(row)));
+}
+
+// 結果の表（操作ごとに各エンジンの中央値・サイズ・SSIM）
+function printResults(session) {
+  const images = session.kind === 'corpus' ? session.images : [{ originalName: session.upload?.originalName, ...session }];
+  for (const image of images) {
+    console.info(`\n${image.originalName}${image.original ? ` (${image.original.width}x${image.original.height}, ${formatBytes(image.original.size)})` : ''}`);
+    if (image.error) {
+      console.info(`  Error: ${image.error}`);
+      continue;
+    }
+    for (const category of image.categories) {
+      console.info(`\n${category.name}`);
+      const rows = category.results.map(result => [
+        result.operation,
+        ...session.engines.map(({ id }) => {
+          const engineResult = result[id];
+          if (!engineResult?.supported) return 'not supported';
+          if (engineResult.error) return `error: ${engineResult.error}`;
+          if (engineResult.points) return `${engineResult.points.length} points`;
+          if (engineResult.metadata) return describeMetadataAudit(engineResult.metadata);
+          const ssim = engineResult.ssim != null ? ` SSIM ${engineResult.ssim.toFixed(4)}` : '';
+          const orientation = engineResult.orientation ? ` ${engineResult.orientation.status.toUpperCase()}` : '';
+          const via = engineResult.intermediate && `${engineResult.intermediate.format}${engineResult.intermediate.requested ? ` instead of ${engineResult.intermediate.requested}` : ''}`;
+          const intermediate = engineResult.intermediate ? ` (via ${via}, +${engineResult.intermediate.conversionTime}ms)` : '';
+          return `${engineResult.time}ms ${formatBytes(engineResult.size)}${ssim}${orientation}${intermediate}`;
+        })
+      ]);
+      printTable(['Operation', ...session.engines.map(engine => engine.label)], rows);
+      printPhases(category, session.engines);
+      category.results
+        .filter(result => result.warnings?.length)
+        .forEach(result => result.warnings.forEach(warning => console.info(`  ⚠ ${result.operation}: ${warning}`)));
+    }
+  }
+}
+
+// 処理段階ごとの時間（--phases のとき。計れない段階は -）
+const PHASES = ['decode', 'transform', 'encode', 'write', 'pipeline'];
+
+function printPhases(category, engines) {
+  const rows = category.results.flatMap(result => engines
+    .filter(({ id }) => result[id]?.phases)
+    .map(({ id, label }) => [result.operation, label, ...PHASES.map(phase => result[id].phases[phase] ?? '-')]));
+  if (!rows.length) return;
+  console.info('\nPhase breakdown (median ms; pipeline = decode to encode in memory)');
+  printTable(['Operation', 'Engine', ...PHASES], rows);
+}
+
+function printComparison(comparison) {
+  console.info(`\nCompared with baseline ${comparison.base.id ?? ''} (${comparison.base.createdAt})`);
+  comparison.warnings.forEach(warning => console.info(`  warning: ${warning}`));
+  const regressed = comparison.operations.filter(op => op.status === 'regressed');
+  const rows = regressed.flatMap(op => Object.entries(op.engines)
+    .filter(([, engine]) => engine.regressions?.length)
+    .map(([id, engine]) => [
+      `${op.image ? `${op.image} · ` : ''}${op.operation}`,
+      comparison.engines.find(engine => engine.id === id)?.label ?? id,
+      engine.regressions.map(metric => `${metric} ${engine[metric].base} → ${engine[metric].target}`).join(', ')
+    ]));
+  if (rows.length) {
+    printTable(['Operation', 'Engine', 'Regressions'], rows);
+  }
+  console.info(`${comparison.summary.regressed} of ${comparison.summary.compared} operations regressed`
+    + (comparison.summary.unmatched ? ` (${comparison.summary.unmatched} not in both runs)` : ''));
+}
+
+async function bench(files, values) {
+  if (!files.length) throw usageError('No input images given');
+  for (const file of files) {
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw usageError(`Input not found: ${file}`);
+    // サーバーと同じく、フォーマットとピクセル数の上限を計測前に確認する（MAX_IMAGE_PIXELS / MAX_IMAGE_DIMENSION）
+    await validateImageFile(file, { name: file });
+  }
+  if (values.isolation && !['none', 'process'].includes(values.isolation)) {
+    throw usageError(`Invalid isolation mode: ${values.isolation}`);
+  }
+
+  const runOptions = resolveRunOptions(values);
+  const spec = buildSpec(values);
+  const thresholds = resolveThresholds(values);
+  const sessionStore = createSessionStore({
+    sessionsDir: path.join(__dirname, '../sessions'),
+    outputRoot: path.join(__dirname, '../output'),
+    uploadsDir: path.join(__dirname, '../uploads')
+  });
+  // 実行前に読み込んで、誤った指定で長時間の計測を無駄にしない
+  const baseline = values.baseline ? loadBaseline(values.baseline, sessionStore) : null;
+
+  await probeCapabilities(await loadEngines());
+
+  const sessionId = uuidv4();
+  const createdAt = new Date().toISOString();
+  // CLI の入力は利用者のファイルなので、filename は持たせない（セッション削除時に消されないようにする）
+  const inputs = files.map(file => ({ originalName: path.basename(file), path: path.resolve(file), size: fs.statSync(file).size }));
+  // --save なしではセッションが出力を参照しないため、一時ディレクトリに書いて終了時に消す
+  const outputRoot = values.save ? path.join(__dirname, '../output') : fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-image-bench-'));
+  let results;
+  try {
+    results = inputs.length > 1
+      ? { kind: 'corpus', uploads: inputs.map(({ originalName, size }) => ({ originalName, size })), ...await runCorpusBenchmark(inputs, sessionId, { runOptions, spec, outputRoot }) }
+      : { upload: { originalName: inputs[0].originalName, size: inputs[0].size }, ...await runBenchmark(inputs[0].path, sessionId, { runOptions, spec, outputRoot }) };
+  } finally {
+    if (!values.save) fs.rmSync(outputRoot, { recursive: true, force: true });
+  }
+  const session = { id: sessionId, createdAt, completedAt: new Date().toISOString(), source: 'cli', ...results };
+
+  if (values.json) {
+    fs.writeFileSync(values.json, JSON.stringify(session, null, 2));
+  }
+  if (values.save) {
+    sessionStore.save(session);
+  }
+
+  printResults(session);
+  if (values.json) console.info(`\nSession written to ${values.json}`);
+
+  if (!baseline) return 0;
+  const comparison = compareSessions(baseline, session, thresholds);
+  printComparison(comparison);
+  return comparison.summary.regressed > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    console.info(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (command !== 'bench') {
+    throw usageError(`Unknown command: ${command}`);
+  }
+
+  // 計測ログ（console.log）は stderr へ。--quiet なら出さない
+  console.log = values.quiet ? () => {} : console.error;
+  if (values.quiet) console.warn = () => {};
+  return bench(files, values);
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  // 引数・入力の誤り（status付き、parseArgs のエラー）はメッセージのみ、それ以外はスタックも出す
+  console.error(error.status || error.code?.startsWith('ERR_PARSE_ARGS') ? `Error: ${error.message}` : error);
+  process.exitCode = 2;
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// 2つのセッションの比較（ベースラインとの回帰検出）
+// 同じ入力・同じ操作の結果どうしを突き合わせ、エンジンごとに時間・サイズ・メモリ・SSIMの差分を出す
+
+// 回帰とみなすしきい値（time / size / memory は増加率、ssim は低下量）
+export const DEFAULT_THRESHOLDS = {
+  time: 0.1,
+  size: 0.01,
+  memory: 0.1,
+  ssim: 0.005
+};
+
+// 入力ファイルのハッシュ（同じ入力かの判定用。大きなファイルでもメモリに載せない）
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function comparisonError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// クエリ（?time=0.05&ssim=0.01 など）からしきい値を作る
+export function resolveThresholds(query = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (query[key] == null || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw comparisonError(`${key} threshold must be a non-negative number`);
+    }
+    thresholds[key] = value;
+  }
+  return thresholds;
+}
+
+// 同じ入力か（ハッシュがあればハッシュで、古いセッションはサイズ・寸法・フォーマットで判定）
+function sameInput(a, b) {
+  if (!a || !b) return false;
+  if (a.sha256 && b.sha256) return a.sha256 === b.sha256;
+  return a.size === b.size && a.width === b.width && a.height === b.height && a.format === b.format;
+}
+
+// セッション内の結果を「画像 / カテゴリ / 操作」をキーに並べる
+// コーパスは画像ごとの結果をファイル名で突き合わせる。RDスイープ（曲線）とメタデータ監査は対象外
+function collectRows(session) {
+  const images = session.kind === 'corpus'
+    ? (session.images || []).filter(image => !image.error).map(image => ({ name: image.originalName, ...image }))
+    : [{ name: null, ...session }];
+  const rows = new Map();
+  for (const image of images) {
+    for (const category of image.categories || []) {
+      if (category.kind === 'rdSweep' || category.kind === 'metadata') continue;
+      for (const result of category.results) {
+        const key = [image.name ?? '', category.name, result.operation].join('\u0000');
+        rows.set(key, { image: image.name, original: image.original, category: category.name, operation: result.operation, result });
+      }
+    }
+  }
+  return rows;
+}
+
+function enginesOf(session) {
+  if (session.engines?.length) return session.engines.map(({ id, label }) => ({ id, label }));
+  // engines を持たない古いセッション
+  return [{ id: 'lazyImage', label: 'lazy-image' }, { id: 'sharp', label: 'sharp' }];
+}
+
+function isMeasured(engineResult) {
+  return engineResult?.supported && engineResult.time != null && engineResult.size != null;
+}
+
+// 分離実行ではRSS、それ以外はヒープの増加量（フロントエンドの表示と同じ）
+export function memoryOf(engineResult) {
+  if (engineResult.memory?.isolated && engineResult.memory.rss != null) return engineResult.memory.rss;
+  return engineResult.memoryUsed ?? null;
+}
+
+// 増加率がしきい値を超え、かつ増加量が minDelta 以上なら回帰とみなす
+// 数ms・1MB未満の差は計測の揺らぎで容易に10%を超えるため、絶対量の下限を設ける
+const increasedBy = (minDelta) => (delta, base, threshold) => base > 0 && delta >= minDelta && delta / base > threshold;
+
+const METRICS = {
+  time: { value: (r) => r.stats?.median ?? r.time, regressed: increasedBy(1) }, // ms
+  size: { value: (r) => r.size, regressed: increasedBy(1) }, // bytes
+  memory: { value: memoryOf, regressed: increasedBy(1) }, // MB
+  // SSIMは下がった場合が回帰（絶対値で比較）
+  ssim: { value: (r) => r.ssim ?? null, regressed: (delta, base, threshold) => -delta > threshold }
+};
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function compareEngineResult(base, target, thresholds) {
+  if (!isMeasured(base) || !isMeasured(target)) {
+    return {
+      status: !isMeasured(base) && !isMeasured(target) ? 'unmeasured' : isMeasured(base) ? 'missing' : 'added'
+    };
+  }
+
+  const metrics = {};
+  const regressions = [];
+  for (const [name, metric] of Object.entries(METRICS)) {
+    const baseValue = metric.value(base);
+    const targetValue = metric.value(target);
+    if (baseValue == null || targetValue == null) continue;
+    const delta = targetValue - baseValue;
+    const regressed = metric.regressed(delta, baseValue, thresholds[name]);
+    metrics[name] = {
+      base: baseValue,
+      target: targetValue,
+      delta: round(delta),
+      // 変化率（基準が0のときは null）
+      change: baseValue !== 0 ? round(delta / baseValue) : null,
+      regressed
+    };
+    if (regressed) regressions.push(name);
+  }
+  return { status: 'compared', ...metrics, regressions };
+}
+
+// 実行条件が異なる場合の注意
+function describeWarnings(base, target) {
+  const warnings = [];
+  for (const key of ['warmup', 'iterations', 'isolation']) {
+    if (base.runOptions?.[key] !== target.runOptions?.[key]) {
+      warnings.push(`runOptions.${key} differs (${base.runOptions?.[key]} → ${target.runOptions?.[key]})`);
+    }
+  }
+  return warnings;
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    kind: session.kind || 'single',
+    createdAt: session.createdAt,
+    versions: session.versions,
+    runOptions: session.runOptions
+  };
+}
+
+// base と target を比較する（入力が異なる場合は400エラー）
+export function compareSessions(base, target, thresholds = DEFAULT_THRESHOLDS) {
+  if ((base.kind || 'single') !== (target.kind || 'single')) {
+    throw comparisonError('Cannot compare a corpus session with a single-image session');
+  }
+
+  const baseRows = collectRows(base);
+  const targetRows = collectRows(target);
+  if (base.kind !== 'corpus' && !sameInput(base.original, target.original)) {
+    throw comparisonError('Sessions were run on different input images');
+  }
+  for (const [key, row] of targetRows) {
+    const baseRow = baseRows.get(key);
+    if (baseRow && !sameInput(baseRow.original, row.original)) {
+      throw comparisonError(`Image ${row.image} differs between the sessions`);
+    }
+  }
+
+  // どちらかのセッションにあるエンジンすべて（追加・削除されたエンジンも表示する）
+  const engines = [...enginesOf(base), ...enginesOf(target)]
+    .filter((engine, index, all) => all.findIndex(other => other.id === engine.id) === index);
+  const operations = [];
+  for (const key of new Set([...baseRows.keys(), ...targetRows.keys()])) {
+    const baseRow = baseRows.get(key);
+    const targetRow = targetRows.get(key);
+    const { image, category, operation } = baseRow || targetRow;
+    if (!baseRow || !targetRow) {
+      operations.push({ image, category, operation, status: baseRow ? 'missing' : 'added' });
+      continue;
+    }
+
+    const deltas = {};
+    for (const { id } of engines) {
+      deltas[id] = compareEngineResult(baseRow.result[id], targetRow.result[id], thresholds);
+    }
+    const regressed = Object.values(deltas).some(engine => engine.regressions?.length);
+    operations.push({ image, category, operation, status: regressed ? 'regressed' : 'ok', engines: deltas });
+  }
+
+  const compared = operations.filter(op => op.engines);
+  return {
+    base: describeSession(base),
+    target: describeSession(target),
+    engines,
+    thresholds,
+    warnings: describeWarnings(base, target),
+    summary: {
+      operations: operations.length,
+      compared: compared.length,
+      regressed: compared.filter(op => op.status === 'regressed').length,
+      // 片方のセッションにしかない操作（スペックの違いなど）
+      unmatched: operations.length - compared.length
+    },
+    operations
+  };
+}
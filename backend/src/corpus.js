@@ -0,0 +1,186 @@
+import path from 'path';
+import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { v4 as uuidv4 } from 'uuid';
+
+// 複数画像（コーパス）ベンチマーク用のヘルパー
+
+export const CORPUS_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif'];
+
+// 展開中に上限を超えたときのエラー（status は HTTP ステータス）
+function archiveError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 書き出したバイト数を数え、上限を超えた時点でエラーにする Transform
+// ヘッダーの宣言サイズは書き換えられるため、実際に展開したバイト数で判定する
+function byteLimiter(onChunk) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        onChunk(chunk.length);
+      } catch (error) {
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+// zip内の画像を destDir に展開する（画像以外・隠しファイルは無視）
+// zip 全体をメモリに読まないよう、エントリごとにストリームでディスクへ書き出す
+// 展開後の合計サイズ・1ファイルのサイズ・ファイル数を制限して zip bomb を防ぐ（途中で失敗したら展開済みのファイルも消す）
+export async function extractCorpusArchive(zipPath, destDir, { maxFiles, maxTotalBytes, maxEntryBytes = maxTotalBytes }) {
+  const extracted = [];
+  let totalBytes = 0;
+  let zipfile;
+  try {
+    zipfile = await yauzl.openPromise(zipPath);
+    for await (const entry of zipfile.eachEntry()) {
+      // ディレクトリは名前が / で終わる
+      if (entry.fileName.endsWith('/')) continue;
+      const originalName = path.basename(entry.fileName);
+      if (originalName.startsWith('.') || entry.fileName.startsWith('__MACOSX/')) continue;
+      if (!CORPUS_IMAGE_EXTENSIONS.includes(path.extname(originalName).toLowerCase())) continue;
+
+      if (extracted.length >= maxFiles) {
+        throw archiveError(`Archive contains more than ${maxFiles} images`, 400);
+      }
+
+      const filename = `${uuidv4()}${path.extname(originalName).toLowerCase()}`;
+      const filePath = path.join(destDir, filename);
+      const file = { originalName, filename, path: filePath, size: 0 };
+      extracted.push(file);
+
+      await pipeline(
+        await zipfile.openReadStreamPromise(entry),
+        byteLimiter((bytes) => {
+          file.size += bytes;
+          totalBytes += bytes;
+          if (file.size > maxEntryBytes) {
+            throw archiveError(`${originalName} expands to more than ${maxEntryBytes} bytes`, 413);
+          }
+          if (totalBytes > maxTotalBytes) {
+            throw archiveError(`Archive expands to more than ${maxTotalBytes} bytes`, 413);
+          }
+        }),
+        fs.createWriteStream(filePath)
+      );
+    }
+    return extracted;
+  } catch (error) {
+    extracted.forEach(file => fs.rmSync(file.path, { force: true }));
+    // 壊れた zip（yauzl のエラー）は status を持たないため 400 にする
+    if (!error.status) error.status = 400;
+    throw error;
+  } finally {
+    zipfile?.close();
+  }
+}
+
+function round(value, digits = 4) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// 中央値（stats）があればそれを、なければ time を使う
+function timeOf(engineResult) {
+  return engineResult?.stats?.median ?? engineResult?.time ?? null;
+}
+
+function isMeasured(engineResult) {
+  return engineResult?.supported && engineResult.time != null && engineResult.size != null;
+}
+
+// 2エンジン間の比較（ペアになった画像のみ）
+// speedup は 比較対象の時間 / エンジンの時間 の幾何平均（1より大きければエンジンの方が速い）
+function compareEngines(rows, engine, against) {
+  const paired = rows.filter(({ result }) => isMeasured(result[engine]) && isMeasured(result[against]));
+  const logSpeedups = paired
+    .map(({ result }) => ({ time: timeOf(result[engine]), reference: timeOf(result[against]) }))
+    .filter(({ time, reference }) => time > 0 && reference > 0)
+    .map(({ time, reference }) => Math.log(reference / time));
+  const rate = (predicate) => (paired.length ? round(paired.filter(predicate).length / paired.length) : null);
+
+  return {
+    against,
+    pairedImages: paired.length,
+    // 比較対象より小さく出力できたバイト数の合計（負なら比較対象の方が小さい）
+    bytesSaved: paired.reduce((sum, { result }) => sum + (result[against].size - result[engine].size), 0),
+    geoMeanSpeedup: logSpeedups.length ? round(Math.exp(mean(logSpeedups))) : null,
+    winRates: {
+      faster: rate(({ result }) => timeOf(result[engine]) < timeOf(result[against])),
+      smaller: rate(({ result }) => result[engine].size < result[against].size),
+      betterSsim: rate(({ result }) => (result[engine].ssim ?? 0) > (result[against].ssim ?? 0))
+    }
+  };
+}
+
+// 画像ごとの結果から、操作ごとのコーパス集計を作る
+// 各エンジンは基準エンジン（sharp、いなければ最初のエンジン）と比較する
+export function aggregateCorpus(images, engineIds) {
+  const reference = engineIds.includes('sharp') ? 'sharp' : engineIds[0];
+  const byOperation = new Map();
+
+  for (const image of images) {
+    if (!image.categories) continue;
+    for (const category of image.categories) {
+      // RDスイープ（曲線）とメタデータ監査は計測値の形が異なるため、サイズ・時間の集計対象にしない
+      if (category.kind === 'rdSweep' || category.kind === 'metadata') continue;
+      for (const result of category.results) {
+        const key = `${category.name}\u0000${result.operation}`;
+        if (!byOperation.has(key)) {
+          byOperation.set(key, { category: category.name, operation: result.operation, rows: [] });
+        }
+        byOperation.get(key).rows.push({ original: image.original, result });
+      }
+    }
+  }
+
+  const operations = [...byOperation.values()].map(({ category, operation, rows }) => {
+    const engines = {};
+    for (const engine of engineIds) {
+      const measured = rows.filter(({ result }) => isMeasured(result[engine]));
+      const ssims = measured.map(({ result }) => result[engine].ssim).filter(v => v != null);
+      engines[engine] = {
+        images: measured.length,
+        totalBytes: measured.reduce((sum, { result }) => sum + result[engine].size, 0),
+        bytesSaved: measured.reduce((sum, { original, result }) => sum + (original.size - result[engine].size), 0),
+        meanTime: round(mean(measured.map(({ result }) => timeOf(result[engine]))), 2),
+        meanSsim: round(mean(ssims))
+      };
+    }
+
+    const comparisons = Object.fromEntries(engineIds
+      .filter(engine => engine !== reference)
+      .map(engine => [engine, compareEngines(rows, engine, reference)]));
+
+    return {
+      category,
+      operation,
+      images: rows.length,
+      engines,
+      comparisons
+    };
+  });
+
+  const succeeded = images.filter(image => !image.error);
+  return {
+    reference,
+    images: images.length,
+    succeeded: succeeded.length,
+    failed: images.length - succeeded.length,
+    totalOriginalBytes: succeeded.reduce((sum, image) => sum + (image.original?.size || 0), 0),
+    operations
+  };
+}
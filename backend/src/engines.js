@@ -0,0 +1,350 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createRequire } from 'module';
+import { FORMATS } from './spec.js';
+import { resizeGeometry } from './resize.js';
+
+// 画像処理エンジンのアダプター
+// ベンチマークはアダプター経由でのみエンジンを呼び出すため、登録したエンジンはすべて同じ計測・集計・表示の対象になる
+//
+//   id                                   結果のキー（英数字と _。結果オブジェクトの operation / format / warnings とは重ならないこと）
+//   label                                表示名
+//   load()                               モジュールの読み込み（任意。使うときにだけ呼ばれ、失敗したエンジンは使われない）
+//   version()                            バージョン文字列
+//   open(inputPath)                      → image（計測の外で毎回呼ばれる）
+//   resize(image, { width, height, fit }) → image | Promise<image>
+//                                        fit は resize.js の FIT_MODES。出力サイズは resizeGeometry() で計算して揃えること
+//   encode(image, { format, quality, compressionLevel })
+//                                        → encoded（format は FORMATS のキーまたは 'png'。書き出しはまだ行わない）
+//   write(encoded, outputPath)           → Promise（ファイルへの書き出し）
+//   openBuffer(buffer)                   任意。→ image（メモリ上のバッファから開く。I/O モードの比較用）
+//   toBuffer(encoded)                    任意。→ Promise<Buffer>（ファイルに書かずにバッファで受け取る）
+//   toStream(encoded)                    任意。→ Readable | Promise<Readable>（読み切るまでを計測する）
+//   decode(image)                        任意。→ Promise<{ data, width, height, channels }>（画素までデコード。段階別の計測用）
+//   fromRaw(raw)                         任意。→ image（decode() の結果から開く。エンコードだけを計測するため）
+//   operations                           任意の変換 { rotate, crop, blur, grayscale }: (image, task) => image | Promise<image>
+//                                        定義していない操作は非対応として扱う
+//   keepMetadata(image)                  任意。→ image（EXIF / ICC / XMP を出力に残す。既定の出力でどう扱うかはメタデータ監査で確認する）
+//   autoOrient(image)                    任意。→ image（EXIF の向きを画素に適用する。以降の resize は向きを適用した後のサイズで計算すること）
+//   methods()                            任意。起動時のプローブで報告するエンジン固有メソッドの有無 { name: boolean }
+//
+// 比較する lazy-image は LAZY_IMAGE_PACKAGES（カンマ区切りのパッケージ名）で指定する。既定は @alberteinshutoin/lazy-image のみ
+// 別の版は別名でインストールしておく（例: npm install lazy-image-0-15@npm:@alberteinshutoin/lazy-image@0.15.0）
+// 追加のエンジンは BENCHMARK_ENGINES（カンマ区切りのモジュール指定子、または backend/ からの相対パス）で読み込む
+// 各モジュールは default export でアダプター（または配列）を返す。重い依存は load() の中で import すること
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+const RESERVED_IDS = ['operation', 'format', 'warnings'];
+const REQUIRED_FUNCTIONS = ['version', 'open', 'resize', 'encode', 'write'];
+
+const LAZY_IMAGE_PACKAGE = '@alberteinshutoin/lazy-image';
+
+// lazy-imageのバージョンを取得する関数
+// packageName は別名でインストールした lazy-image（例: lazy-image-0-15）にも使える
+function getLazyImageVersion(packageName = LAZY_IMAGE_PACKAGE) {
+  // 方法1: require.resolve()を使ってパッケージのパスを取得（最も確実）
+  try {
+    const packagePath = require.resolve(`${packageName}/package.json`);
+    if (fs.existsSync(packagePath)) {
+      const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+      const version = packageJson.version || 'unknown';
+      console.log(`[getLazyImageVersion] ✅ Found ${packageName} version ${version} via require.resolve: ${packagePath}`);
+      return version;
+    }
+  } catch (error) {
+    console.warn(`[getLazyImageVersion] ⚠️ require.resolve() failed: ${error.message}`);
+  }
+
+  // 方法2: package.jsonから直接読み取る（複数のパスを試す）
+  const possiblePaths = [
+    path.join(__dirname, `../node_modules/${packageName}/package.json`), // Docker: /app/src -> /app/node_modules
+    path.join(__dirname, `../../node_modules/${packageName}/package.json`), // ローカル開発環境
+    path.join(process.cwd(), `node_modules/${packageName}/package.json`), // ワーキングディレクトリ基準
+    path.resolve(process.cwd(), `node_modules/${packageName}/package.json`), // 絶対パス
+  ];
+
+  for (const packagePath of possiblePaths) {
+    try {
+      if (fs.existsSync(packagePath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+        const version = packageJson.version || 'unknown';
+        console.log(`[getLazyImageVersion] ✅ Found ${packageName} version ${version} at: ${packagePath}`);
+        return version;
+      }
+    } catch (error) {
+      // 次のパスを試す
+      console.warn(`[getLazyImageVersion] ⚠️ Failed to read ${packagePath}: ${error.message}`);
+      continue;
+    }
+  }
+
+  // 方法3: import.meta.resolve()を試す（Node.js 20.6.0+）
+  try {
+    // import.meta.resolve()は実験的機能だが、Node.js 20.6.0+で利用可能
+    if (typeof import.meta.resolve === 'function') {
+      const resolvedPath = import.meta.resolve(`${packageName}/package.json`);
+      const packagePath = fileURLToPath(resolvedPath);
+      if (fs.existsSync(packagePath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+        const version = packageJson.version || 'unknown';
+        console.log(`[getLazyImageVersion] ✅ Found ${packageName} version ${version} via import.meta.resolve: ${packagePath}`);
+        return version;
+      }
+    }
+  } catch (error) {
+    // import.meta.resolve()が利用できない、または失敗
+    console.warn(`[getLazyImageVersion] import.meta.resolve() failed: ${error.message}`);
+  }
+
+  // デバッグ情報を出力
+  console.error(`[getLazyImageVersion] ❌ Failed to find package.json for ${packageName}. Tried paths:`);
+  possiblePaths.forEach(p => console.error(`  - ${p} (exists: ${fs.existsSync(p)})`));
+  console.error(`[getLazyImageVersion] __dirname: ${__dirname}`);
+  console.error(`[getLazyImageVersion] process.cwd(): ${process.cwd()}`);
+
+  // フォールバック: package.jsonから直接読み取る
+  try {
+    const backendPackageJson = path.join(__dirname, '../package.json');
+    if (fs.existsSync(backendPackageJson)) {
+      const packageJson = JSON.parse(fs.readFileSync(backendPackageJson, 'utf-8'));
+      const lazyImageDep = packageJson.dependencies?.[packageName];
+      if (lazyImageDep) {
+        console.warn(`[getLazyImageVersion] ⚠️ Using version from package.json dependency: ${lazyImageDep}`);
+        // バージョン範囲から実際のバージョンを抽出（例: "^0.9.0" -> "0.9.0"、"npm:@alberteinshutoin/lazy-image@0.15.0" -> "0.15.0"）
+        const versionMatch = lazyImageDep.match(/(\d+\.\d+\.\d+)/);
+        if (versionMatch) {
+          return versionMatch[1];
+        }
+        return lazyImageDep.replace(/[\^~]/, '');
+      }
+    }
+  } catch (error) {
+    console.error(`[getLazyImageVersion] Failed to read backend package.json: ${error.message}`);
+  }
+
+  return 'unknown';
+}
+
+// パッケージから解決されるネイティブバインディング（lazy-image-linux-x64-gnu など）のバージョン
+// バインディングは固定のパッケージ名で読み込まれるため、別名で複数の版を入れると別の版のバインディングを読むことがある
+// 見つからない場合（パッケージ内の .node を使うローカルビルドなど）は null
+function getNativeBindingVersion(packageName) {
+  try {
+    const packagePath = require.resolve(`${packageName}/package.json`);
+    const { optionalDependencies = {} } = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+    const requireFromPackage = createRequire(packagePath);
+    for (const binding of Object.keys(optionalDependencies)) {
+      try {
+        return JSON.parse(fs.readFileSync(requireFromPackage.resolve(`${binding}/package.json`), 'utf-8')).version;
+      } catch {
+        // この環境向けのバインディングではない
+      }
+    }
+  } catch (error) {
+    console.warn(`[engines] Could not inspect native binding of ${packageName}: ${error.message}`);
+  }
+  return null;
+}
+
+// lazy-image: ImageEngine.fromPath() で開き、toFile() で書き出す
+// 既定のパッケージは id 'lazyImage'、別名でインストールした版は 'lazyImage_0_15_0' のようにバージョンから id を作る
+// 複数の版を比べる場合は、どの版の結果か分かるようにラベルにもバージョンを付ける
+function createLazyImageAdapter({ packageName = LAZY_IMAGE_PACKAGE, labelWithVersion = false } = {}) {
+  let ImageEngine = null;
+  const version = getLazyImageVersion(packageName);
+  const id = packageName === LAZY_IMAGE_PACKAGE ? 'lazyImage'
+    : `lazyImage_${(version === 'unknown' ? packageName : version).replace(/[^A-Za-z0-9]/g, '_')}`;
+
+  return {
+    id,
+    label: labelWithVersion ? `lazy-image ${version}` : 'lazy-image',
+    packageName,
+    async load() {
+      ({ ImageEngine } = await import(packageName));
+      const bindingVersion = getNativeBindingVersion(packageName);
+      if (bindingVersion && version !== 'unknown' && bindingVersion !== version) {
+        throw new Error(`${packageName} ${version} resolves native binding ${bindingVersion}; reinstall it so each version has its own binding`);
+      }
+    },
+    version: () => version,
+    // ✅ Use fromPath() (maximize memory efficiency)
+    open: (inputPath) => ImageEngine.fromPath(inputPath),
+    // ✅ 幅・高さを明示して渡す（フィットの解釈を lazy-image に任せず、sharp と同じ出力サイズにする）
+    resize: (image, target) => {
+      const { width, height, crop } = resizeGeometry(image.dimensions(), target);
+      const resized = image.resize(width, height);
+      return crop ? resized.crop(crop.left, crop.top, crop.width, crop.height) : resized;
+    },
+    // lazy-image は PNG の圧縮レベルを指定できないため既定値で出力する
+    encode: (image, { format, quality }) => ({ image, format, quality: format === 'png' ? undefined : quality }),
+    // ✅ Use toFile() (no intermediate buffer in JS)
+    write: ({ image, format, quality }, outputPath) => image.toFile(outputPath, format, quality),
+    openBuffer: (buffer) => ImageEngine.from(buffer),
+    toBuffer: ({ image, format, quality }) => image.toBuffer(format, quality),
+    keepMetadata: (image) => image.keepMetadata(),
+    autoOrient: (image) => image.autoOrient(),
+    operations: {
+      rotate: (image, { angle }) => image.rotate(angle),
+      crop: (image, { ratio }) => {
+        const { width, height } = image.dimensions();
+        const cropWidth = Math.floor(width * ratio);
+        const cropHeight = Math.floor(height * ratio);
+        return image.crop(Math.floor((width - cropWidth) / 2), Math.floor((height - cropHeight) / 2), cropWidth, cropHeight);
+      },
+      grayscale: (image) => image.grayscale()
+    },
+    methods() {
+      const names = ['resize', 'crop', 'rotate', 'flipH', 'flipV', 'grayscale', 'blur', 'dimensions', 'toFile', 'toBuffer', 'autoOrient', 'keepMetadata'];
+      return Object.fromEntries(names.map(name => [name, typeof ImageEngine.prototype?.[name] === 'function']));
+    }
+  };
+}
+
+// sharp: ✅ File-based for fair comparison（パイプラインは toFile() まで実行されない）
+function createSharpAdapter() {
+  let sharp = null;
+  // autoOrient() を指定したパイプライン（metadata() は入力のサイズを返すため、向きを適用した後のサイズを使う）
+  const autoOriented = new WeakSet();
+
+  return {
+    id: 'sharp',
+    label: 'sharp',
+    async load() {
+      ({ default: sharp } = await import('sharp'));
+    },
+    version: () => sharp?.versions?.sharp || 'latest',
+    open: (inputPath) => sharp(inputPath),
+    resize: async (image, target) => {
+      const metadata = await image.metadata();
+      const { width, height, crop } = resizeGeometry(autoOriented.has(image) ? metadata.autoOrient : metadata, target);
+      const resized = image.resize(width, height, { fit: 'fill' });
+      return crop ? resized.extract(crop) : resized;
+    },
+    encode: (image, { format, quality, compressionLevel }) => (format === 'png'
+      ? image.png({ compressionLevel })
+      : FORMATS[format].applySharp(image, quality)),
+    write: (pipeline, outputPath) => pipeline.toFile(outputPath),
+    openBuffer: (buffer) => sharp(buffer),
+    toBuffer: (pipeline) => pipeline.toBuffer(),
+    // sharp のパイプラインはそれ自体が Duplex ストリーム
+    toStream: (pipeline) => pipeline,
+    decode: async (pipeline) => {
+      const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+      return { data, width: info.width, height: info.height, channels: info.channels };
+    },
+    fromRaw: ({ data, width, height, channels }) => sharp(data, { raw: { width, height, channels } }),
+    keepMetadata: (image) => image.keepMetadata(),
+    autoOrient: (image) => {
+      autoOriented.add(image);
+      return image.autoOrient();
+    },
+    operations: {
+      rotate: (image, { angle }) => image.rotate(angle),
+      crop: async (image, { ratio }) => {
+        const metadata = await image.metadata();
+        const cropWidth = Math.floor(metadata.width * ratio);
+        const cropHeight = Math.floor(metadata.height * ratio);
+        const left = Math.floor((metadata.width - cropWidth) / 2);
+        const top = Math.floor((metadata.height - cropHeight) / 2);
+        return image.extract({ left, top, width: cropWidth, height: cropHeight });
+      },
+      blur: (image, { sigma }) => image.blur(sigma),
+      grayscale: (image) => image.grayscale()
+    }
+  };
+}
+
+const registry = new Map();
+const loaded = new Map();
+
+function validateAdapter(adapter, source) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error(`${source}: engine adapter must be an object`);
+  }
+  if (typeof adapter.id !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(adapter.id) || RESERVED_IDS.includes(adapter.id)) {
+    throw new Error(`${source}: invalid engine id ${JSON.stringify(adapter.id)}`);
+  }
+  const missing = REQUIRED_FUNCTIONS.filter(name => typeof adapter[name] !== 'function');
+  if (missing.length) {
+    throw new Error(`${source}: engine "${adapter.id}" is missing ${missing.join(', ')}`);
+  }
+}
+
+// アダプターを登録する（同じ id は登録できない）
+export function registerEngine(adapter, source = 'registerEngine') {
+  validateAdapter(adapter, source);
+  if (registry.has(adapter.id)) {
+    throw new Error(`${source}: engine "${adapter.id}" is already registered`);
+  }
+  registry.set(adapter.id, { label: adapter.id, ...adapter });
+}
+
+let registration = null;
+
+// 組み込みのアダプター（LAZY_IMAGE_PACKAGES の各版と sharp）と BENCHMARK_ENGINES のモジュールを登録する（最初の1回のみ）
+function registerAll() {
+  registration ??= (async () => {
+    const lazyImagePackages = (process.env.LAZY_IMAGE_PACKAGES || LAZY_IMAGE_PACKAGE).split(',').map(s => s.trim()).filter(Boolean);
+    for (const packageName of lazyImagePackages) {
+      try {
+        registerEngine(createLazyImageAdapter({ packageName, labelWithVersion: lazyImagePackages.length > 1 }), packageName);
+      } catch (error) {
+        console.error(`[engines] Failed to register ${packageName}:`, error.message);
+      }
+    }
+    registerEngine(createSharpAdapter(), 'built-in');
+
+    const modules = (process.env.BENCHMARK_ENGINES || '').split(',').map(s => s.trim()).filter(Boolean);
+    for (const specifier of modules) {
+      const url = specifier.startsWith('.') || path.isAbsolute(specifier)
+        ? pathToFileURL(path.resolve(__dirname, '..', specifier)).href
+        : specifier;
+      try {
+        const { default: exported } = await import(url);
+        for (const adapter of [].concat(exported)) {
+          registerEngine(adapter, specifier);
+        }
+      } catch (error) {
+        console.error(`[engines] Failed to register engines from ${specifier}:`, error.message);
+      }
+    }
+  })();
+  return registration;
+}
+
+// 登録済みのエンジンを読み込み、使えるものを登録順に返す
+// ids を指定した場合はそのエンジンだけを読み込む（分離実行の子プロセスで他のエンジンのメモリを含めないため）
+export async function loadEngines(ids = null) {
+  await registerAll();
+  const engines = [];
+  for (const adapter of registry.values()) {
+    if (ids && !ids.includes(adapter.id)) continue;
+    if (!loaded.has(adapter.id)) {
+      loaded.set(adapter.id, (async () => {
+        try {
+          await adapter.load?.();
+          return true;
+        } catch (error) {
+          console.error(`[engines] ${adapter.label} is unavailable:`, error.message);
+          return false;
+        }
+      })());
+    }
+    if (await loaded.get(adapter.id)) engines.push(adapter);
+  }
+  return engines;
+}
+
+export async function loadEngine(id) {
+  const [engine] = await loadEngines([id]);
+  if (!engine) throw new Error(`Unknown or unavailable engine: ${id}`);
+  return engine;
+}
+
+// 結果・セッションに保存するエンジン情報
+export function describeEngines(engines) {
+  return engines.map(({ id, label, version }) => ({ id, label, version: version() }));
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import sharp from 'sharp';
+
+// アップロード画像の検証（ベンチマークを始める前に呼ぶ）
+// クライアントが送る mimetype は信用せず、先頭のバイト列（マジックバイト）でフォーマットを判定する
+// ピクセル数と辺の長さは sharp().metadata() でヘッダーだけ読んで確認し、展開するとメモリを使い切る画像（decompression bomb）を拒否する
+
+// 検証エラー（status は HTTP ステータス、code は UI やクライアントが判別するための識別子）
+export class ImageValidationError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// 上限の既定値（環境変数 MAX_IMAGE_PIXELS / MAX_IMAGE_DIMENSION で変更可能）
+// 100MP は RGBA の Raw データで約400MB。画質評価の参照や各エンジンのデコードで同時に複数持つことを考えた値
+export const DEFAULT_MAX_IMAGE_PIXELS = 100_000_000;
+export const DEFAULT_MAX_IMAGE_DIMENSION = 16384;
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const IMAGE_LIMITS = {
+  maxPixels: parseLimit(process.env.MAX_IMAGE_PIXELS, DEFAULT_MAX_IMAGE_PIXELS),
+  maxDimension: parseLimit(process.env.MAX_IMAGE_DIMENSION, DEFAULT_MAX_IMAGE_DIMENSION)
+};
+
+// 判定に読む先頭のバイト数（AVIF の ftyp ボックスの互換ブランドまで含める）
+const SNIFF_BYTES = 64;
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// ISOBMFF の ftyp ボックスで、メジャーブランドか互換ブランドに avif / avis があれば AVIF
+function isAvif(buffer) {
+  if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return false;
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+  return brands.some(brand => brand === 'avif' || brand === 'avis');
+}
+
+// 先頭のバイト列からフォーマットを判定する（対応していなければ null）
+export function sniffImageFormat(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'webp';
+  if (isAvif(buffer)) return 'avif';
+  return null;
+}
+
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// 辺の長さとピクセル数の上限を確認する（合成画像の生成条件にも同じ上限を使う）
+export function checkImageSize(width, height, { name = 'image', limits = IMAGE_LIMITS } = {}) {
+  if (width > limits.maxDimension || height > limits.maxDimension) {
+    throw new ImageValidationError(
+      `${name} is ${width}x${height}; the maximum width and height is ${limits.maxDimension} pixels`,
+      413,
+      'IMAGE_DIMENSIONS_TOO_LARGE'
+    );
+  }
+  if (width * height > limits.maxPixels) {
+    throw new ImageValidationError(
+      `${name} is ${width}x${height} (${width * height} pixels); the maximum is ${limits.maxPixels} pixels`,
+      413,
+      'IMAGE_TOO_MANY_PIXELS'
+    );
+  }
+}
+
+// 1枚の画像を検証し、{ format, mimetype, width, height } を返す。name はエラーメッセージ用のファイル名
+export async function validateImageFile(filePath, { name = 'image', limits = IMAGE_LIMITS } = {}) {
+  const format = sniffImageFormat(readHeader(filePath));
+  if (!format) {
+    throw new ImageValidationError(
+      `${name} is not a JPEG, PNG, WebP or AVIF image (file content does not match any supported format)`,
+      415,
+      'UNSUPPORTED_IMAGE_FORMAT'
+    );
+  }
+
+  // ヘッダーのみを読む（上限は自前で判定するため、sharp の limitInputPixels は外す）
+  let metadata;
+  try {
+    metadata = await sharp(filePath, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new ImageValidationError(`${name} could not be read as ${format.toUpperCase()}: ${error.message}`, 422, 'UNREADABLE_IMAGE');
+  }
+  const { width, height } = metadata;
+  if (!width || !height) {
+    throw new ImageValidationError(`${name} has no readable dimensions`, 422, 'UNREADABLE_IMAGE');
+  }
+
+  checkImageSize(width, height, { name, limits });
+
+  return { format, mimetype: MIME_TYPES[format], width, height };
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { detectInputFormat, engineReads } from './capabilities.js';
+
+// エンジンが読めない入力（起動時のプローブで判定、lazy-image の AVIF など）を渡すための中間形式（spec.intermediate）
+// 入力ごとに1回だけ変換してキャッシュし、同じ入力を使う操作ではすべて使い回す（変換時間は結果に記録する）
+//
+//   png     可逆の PNG（既定。元画像をデコードした画素と同じ）
+//   raw     デコード済みの画素をメモリ上で渡す（アダプターの fromRaw()。ない場合・分離実行・メタデータを残す場合は png）
+//           png に切り替えた場合は、結果の intermediate に requested: 'raw' と理由（fallback）を残す
+//   jpeg    JPEG q100（以前の挙動。非可逆のため、元画像に対する画質指標が不利になる）
+//   native  変換しない（入力を読めないエンジンは、その入力では非対応）
+
+const FILE_FORMATS = {
+  png: { ext: '.png', apply: (pipeline) => pipeline.png() },
+  jpeg: { ext: '.jpg', apply: (pipeline) => pipeline.jpeg({ quality: 100 }) }
+};
+
+// raw を使えない理由（使える場合は null）
+function rawFallbackReason(engine, { isolated, keepMetadata }) {
+  if (!engine.fromRaw) return `${engine.label} cannot open raw pixels (no fromRaw)`;
+  if (isolated) return 'raw pixels cannot be passed to an isolated process';
+  if (keepMetadata) return 'raw pixels carry no metadata';
+  return null;
+}
+
+// runBenchmark ごとに1つ作る。中間ファイルは outputDir に残し、セッションの削除で一緒に消える
+export function createIntermediateCache(policy, outputDir) {
+  const entries = new Map();
+  const references = new Map();
+  const reportedFallbacks = new Set();
+
+  const convert = async (inputPath, inputFormat, format, keepMetadata) => {
+    const start = performance.now();
+    let entry;
+    if (format === 'raw') {
+      const { data, info } = await sharp(inputPath).raw().toBuffer({ resolveWithObject: true });
+      entry = { raw: { data, width: info.width, height: info.height, channels: info.channels }, size: data.length };
+    } else {
+      const { ext, apply } = FILE_FORMATS[format];
+      const intermediatePath = path.join(outputDir, `intermediate_${entries.size + 1}${ext}`);
+      await apply(keepMetadata ? sharp(inputPath).keepMetadata() : sharp(inputPath)).toFile(intermediatePath);
+      entry = { path: intermediatePath, size: fs.statSync(intermediatePath).size };
+    }
+    const conversionTime = performance.now() - start;
+    console.log(`[intermediate] ${path.basename(inputPath)}: ${inputFormat} → ${format} in ${Math.round(conversionTime)}ms`);
+    return { ...entry, intermediate: { format, from: inputFormat, conversionTime: Math.round(conversionTime), size: entry.size } };
+  };
+
+  return {
+    policy,
+
+    // エンジンに渡す入力 { path, raw, intermediate }（intermediate は中間形式を使った場合のみ）
+    // native で読めない場合は null
+    async resolve(engine, inputPath, { keepMetadata = false, isolated = false } = {}) {
+      const inputFormat = detectInputFormat(await sharp(inputPath).metadata());
+      if (engineReads(engine.id, inputFormat)) {
+        return { path: inputPath, raw: null, intermediate: null };
+      }
+      if (policy === 'native') return null;
+
+      const fallback = policy === 'raw' ? rawFallbackReason(engine, { isolated, keepMetadata }) : null;
+      const format = fallback ? 'png' : policy;
+      if (fallback && !reportedFallbacks.has(fallback)) {
+        reportedFallbacks.add(fallback);
+        console.warn(`[intermediate] ⚠️ Using png instead of raw: ${fallback}`);
+      }
+      const key = `${inputPath}|${format}|${keepMetadata}`;
+      if (!entries.has(key)) {
+        entries.set(key, convert(inputPath, inputFormat, format, keepMetadata));
+      }
+      const entry = await entries.get(key);
+      const intermediate = fallback ? { ...entry.intermediate, requested: policy, fallback } : entry.intermediate;
+      return { path: entry.path ?? inputPath, raw: entry.raw ?? null, intermediate };
+    },
+
+    // 中間形式に対する画質評価用の参照（build は元画像の参照を作るのと同じ関数）
+    // raw は元画像をデコードした画素そのものなので、元画像の参照をそのまま使う
+    reference(prepared, build, originalRef) {
+      if (!prepared.intermediate || prepared.raw) return originalRef;
+      if (!references.has(prepared.path)) references.set(prepared.path, new Map());
+      const byBuild = references.get(prepared.path);
+      if (!byBuild.has(build)) byBuild.set(build, build(prepared.path));
+      return byBuild.get(build);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import { measureRuns, measureThroughput } from './measure.js';
+import { createTaskFn, createOpenFn, saveTaskOutput, slotOutputPath } from './tasks.js';
+import { loadEngine } from './engines.js';
+
+// 分離実行用の子プロセス（isolation.js から fork される）
+// 1件のメッセージを受け取り、計測結果を返して終了する
+
+async function buildRunner({ engine: engineId, task, inputPath, outputPath }) {
+  // 使用するエンジンだけを読み込む
+  const engine = await loadEngine(engineId);
+  const taskFn = createTaskFn(engine, task);
+  const open = createOpenFn(engine, task, inputPath);
+  if (!taskFn || !open) throw new Error(`${engine.label} does not support task type "${task.type}"`);
+  return {
+    setup: open,
+    run: (image, slot) => taskFn(image, slotOutputPath(outputPath, slot))
+  };
+}
+
+process.once('message', async (message) => {
+  try {
+    const runner = await buildRunner(message);
+    const { output, ...result } = message.mode === 'throughput'
+      ? await measureThroughput(runner, message)
+      : await measureRuns(runner, message);
+    // バッファ出力は子プロセスで書き出す（IPC でバッファを送らない）
+    saveTaskOutput(output, message.outputPath);
+    // maxRSS はカーネルが記録したプロセス全体のピーク（KB単位）
+    const maxRss = process.resourceUsage().maxRSS * 1024;
+    process.send({ ...result, peakRss: Math.max(result.peakRss, maxRss) }, () => process.exit(0));
+  } catch (error) {
+    process.send({ error: error.message }, () => process.exit(1));
+  }
+});
@@ -0,0 +1,60 @@
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// 1エンジン×1操作を新しい子プロセスで計測する
+// ネイティブメモリ（libvips / Rust）のピークRSSを他の計測と混ぜずに取得でき、
+// 一方のエンジンのキャッシュがもう一方の計測に影響することもない
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_PATH = path.join(__dirname, 'isolatedWorker.js');
+const ISOLATED_RUN_TIMEOUT_MS = parseInt(process.env.BENCHMARK_ISOLATION_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+
+export const ISOLATION_MODES = ['none', 'process'];
+
+// mode: 'runs'（measureRuns）または 'throughput'（measureThroughput、concurrency/total が必要）
+export function runIsolated({ engine, task, inputPath, outputPath, runOptions, mode = 'runs', concurrency, total }) {
+  return new Promise((resolve, reject) => {
+    const child = fork(WORKER_PATH, [], {
+      execArgv: ['--expose-gc'],
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      settle(reject, new Error(`Isolated run timed out after ${ISOLATED_RUN_TIMEOUT_MS}ms`));
+    }, ISOLATED_RUN_TIMEOUT_MS);
+
+    child.once('message', (message) => {
+      if (message.error) {
+        settle(reject, new Error(message.error));
+      } else {
+        settle(resolve, message);
+      }
+    });
+    child.once('error', (error) => settle(reject, error));
+    child.once('exit', (code, signal) => {
+      settle(reject, new Error(`Isolated worker exited unexpectedly (code: ${code}, signal: ${signal})`));
+    });
+
+    child.send({
+      mode,
+      engine,
+      task,
+      inputPath,
+      outputPath,
+      warmup: runOptions.warmup,
+      iterations: runOptions.iterations,
+      concurrency,
+      total
+    });
+  });
+}
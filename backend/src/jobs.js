@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// 非同期ベンチマークジョブの管理
+// ジョブは計測結果が互いに干渉しないよう、1件ずつ順番に実行する
+
+// 完了したジョブを保持する時間（この間はイベントの再取得が可能）
+const JOB_RETENTION_MS = 10 * 60 * 1000;
+
+const TERMINAL_EVENTS = new Set(['complete', 'failed']);
+
+const jobs = new Map();
+let queue = Promise.resolve();
+let pendingCount = 0;
+
+function toSnapshot(job) {
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    current: job.current,
+    completedOperations: job.completedOperations,
+    error: job.error,
+    result: job.result
+  };
+}
+
+function emit(job, type, data = {}) {
+  const event = { ...data, id: job.events.length + 1, type, timestamp: new Date().toISOString() };
+  job.events.push(event);
+  job.emitter.emit('event', event);
+  return event;
+}
+
+// ジョブを登録してキューに積む。task(report)はベンチマーク本体で、戻り値がcompleteイベントの結果になる
+export function enqueueJob({ sessionId, task }) {
+  const job = {
+    id: uuidv4(),
+    sessionId,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    current: null,
+    completedOperations: 0,
+    error: null,
+    result: null,
+    events: [],
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(0);
+  jobs.set(job.id, job);
+
+  pendingCount++;
+  emit(job, 'queued', { position: pendingCount });
+
+  const report = (event) => {
+    if (event.type === 'operation-start') {
+      job.current = { operation: event.operation, engine: event.engine, phase: event.phase, quality: event.quality };
+    } else if (event.type === 'result') {
+      job.completedOperations++;
+    }
+    emit(job, event.type, event);
+  };
+
+  queue = queue.then(async () => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job, 'started', { sessionId });
+    try {
+      job.result = await task(report);
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      emit(job, 'complete', { result: job.result });
+    } catch (error) {
+      console.error(`[jobs] Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      emit(job, 'failed', { error: error.message, status: error.status || 500 });
+    } finally {
+      job.current = null;
+      pendingCount--;
+      setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+    }
+  });
+
+  return toSnapshot(job);
+}
+
+// 待機中・実行中のジョブのセッションID（保存前の出力やアップロードを削除しないために使う）
+export function activeSessionIds() {
+  return new Set([...jobs.values()]
+    .filter(job => job.status === 'queued' || job.status === 'running')
+    .map(job => job.sessionId));
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toSnapshot(job) : null;
+}
+
+// Server-Sent Events でジョブのイベントを配信する
+// 再接続時は Last-Event-ID 以降のイベントだけを再送する
+export function streamJobEvents(id, req, res) {
+  const job = jobs.get(id);
+  if (!job) return false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+  let closed = false;
+
+  const send = (event) => {
+    if (closed) return;
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_EVENTS.has(event.type)) {
+      close();
+    }
+  };
+
+  // プロキシによる切断を防ぐためのハートビート
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    job.emitter.off('event', send);
+    res.end();
+  };
+
+  req.on('close', close);
+
+  for (const event of job.events) {
+    if (event.id > lastEventId) send(event);
+  }
+  if (!closed) {
+    job.emitter.on('event', send);
+  }
+  return true;
+}
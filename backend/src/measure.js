@@ -0,0 +1,117 @@
+// 計測ループ（親プロセス・分離実行用の子プロセスで共通）
+
+const MEMORY_KEYS = ['heapUsed', 'rss', 'external', 'arrayBuffers'];
+
+function snapshotMemory() {
+  const usage = process.memoryUsage();
+  return {
+    heapUsed: usage.heapUsed,
+    rss: usage.rss,
+    external: usage.external,
+    arrayBuffers: usage.arrayBuffers
+  };
+}
+
+// メモリ使用量測定（計測中のピークを測定）
+// heapUsedだけではlibvips/Rust側のネイティブメモリが見えないため、rss/external/arrayBuffersも監視する
+// stop() の memory の各値は開始時からのピーク増加量（バイト）、peakRss は絶対値
+function startMemoryMonitor() {
+  if (global.gc) global.gc();
+  const baseline = snapshotMemory();
+  const peak = { ...baseline };
+
+  const sample = () => {
+    const current = snapshotMemory();
+    for (const key of MEMORY_KEYS) {
+      if (current[key] > peak[key]) {
+        peak[key] = current[key];
+      }
+    }
+  };
+  const timer = setInterval(sample, 10); // 10msごとにチェック
+
+  return {
+    stop() {
+      clearInterval(timer);
+      // 処理直後のメモリも確認
+      sample();
+
+      const memory = {};
+      for (const key of MEMORY_KEYS) {
+        memory[key] = Math.max(0, peak[key] - baseline[key]);
+      }
+      return {
+        memoryUsed: peak.heapUsed - baseline.heapUsed,
+        memory,
+        peakRss: peak.rss
+      };
+    }
+  };
+}
+
+// ウォームアップ後に指定回数だけ計測し、各回の処理時間とメモリのピークを返す
+// setup()は計測外で毎回呼ばれ、その戻り値がrun()に渡される。output は最後の run() の戻り値（バッファ出力の書き出し用）
+export async function measureRuns({ setup, run }, { warmup, iterations }) {
+  for (let i = 0; i < warmup; i++) {
+    await run(setup ? setup() : undefined);
+  }
+
+  const monitor = startMemoryMonitor();
+  const samples = [];
+  let output;
+  let memoryResult;
+  try {
+    for (let i = 0; i < iterations; i++) {
+      const input = setup ? setup() : undefined;
+      const startTime = performance.now();
+      output = await run(input);
+      samples.push(performance.now() - startTime);
+    }
+  } finally {
+    memoryResult = monitor.stop();
+  }
+
+  return { samples, output, ...memoryResult };
+}
+
+// 並列度 concurrency で合計 total 回の処理を実行し、レイテンシ・スループット・メモリのピークを返す
+// run(input, slot) の slot は 0..concurrency-1（同時実行中の出力ファイルが衝突しないよう使う）
+export async function measureThroughput({ setup, run }, { warmup, concurrency, total }) {
+  for (let i = 0; i < warmup; i++) {
+    await run(setup ? setup() : undefined, 0);
+  }
+
+  const samples = [];
+  let started = 0;
+  const worker = async (slot) => {
+    while (started < total) {
+      started++;
+      const input = setup ? setup() : undefined;
+      const startTime = performance.now();
+      await run(input, slot);
+      samples.push(performance.now() - startTime);
+    }
+  };
+
+  const monitor = startMemoryMonitor();
+  const wallStart = performance.now();
+  let memoryResult;
+  try {
+    await Promise.all(Array.from({ length: concurrency }, (_, slot) => worker(slot)));
+  } finally {
+    memoryResult = monitor.stop();
+  }
+  const wallTime = performance.now() - wallStart;
+
+  return {
+    samples,
+    wallTime,
+    opsPerSec: samples.length / (wallTime / 1000),
+    ...memoryResult
+  };
+}
+
+export function toMB(bytes) {
+  if (bytes == null) return null;
+  return Math.max(0, Math.round(bytes / 1024 / 1024 * 100) / 100);
+}
@@ -0,0 +1,152 @@
+import sharp from 'sharp';
+import { getRawData, calculateColourDifference } from './metrics.js';
+
+// メタデータ保持の監査（EXIF / ICC / XMP / IPTC / 向き）
+// 入力と出力のメタデータを比べ、ブロックごとに kept / changed / stripped / added / absent を判定する
+// ICC プロファイルは、消えた結果として色が変わったか（sRGB に変換せずに捨てたか）も確認する
+
+export const METADATA_BLOCKS = ['exif', 'icc', 'xmp', 'iptc'];
+
+// 監査用に付与するメタデータ（タグ付きの入力を sharp で作る）
+const TAGGED_EXIF = {
+  IFD0: { Make: 'lazy-image-test', Model: 'metadata audit', Software: 'lazy-image-test' }
+};
+const TAGGED_XMP = '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+  + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+  + '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:creator>lazy-image-test</dc:creator></rdf:Description>'
+  + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+// ワイドガマットのプロファイル（sRGB として扱われると色が変わるため、プロファイルの消失を検出できる）
+export const TAGGED_PROFILE = 'p3';
+
+// 色の確認に使う参照画像の最大辺（色差の平均なので縮小しても十分）
+const COLOUR_CHECK_SIZE = 512;
+// プロファイルを適用した場合としない場合の色差がこれ未満なら、この画像ではプロファイルの有無で色が変わらない
+const PROFILE_SIGNIFICANT_DELTA_E = 1;
+
+// ICC プロファイルの説明（desc タグ。v2 の desc 型と v4 の mluc 型に対応）
+export function iccDescription(icc) {
+  try {
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      if (icc.toString('ascii', entry, entry + 4) !== 'desc') continue;
+      const offset = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('ascii', offset, offset + 4);
+      if (type === 'desc') {
+        const length = icc.readUInt32BE(offset + 8);
+        return icc.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+      }
+      if (type === 'mluc') {
+        const length = icc.readUInt32BE(offset + 20);
+        const start = offset + icc.readUInt32BE(offset + 24);
+        return Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le').replace(/\0+$/, '');
+      }
+    }
+  } catch (error) {
+    // 壊れた・想定外の形式のプロファイルは説明なしとして扱う
+  }
+  return null;
+}
+
+const isSrgb = (description) => /srgb/i.test(description ?? '');
+
+export async function readMetadata(filePath) {
+  const metadata = await sharp(filePath).metadata();
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    exif: metadata.exif ?? null,
+    icc: metadata.icc ?? null,
+    xmp: metadata.xmp ?? null,
+    iptc: metadata.iptc ?? null,
+    orientation: metadata.orientation ?? null,
+    profile: metadata.icc ? iccDescription(metadata.icc) : null
+  };
+}
+
+// 入力に EXIF・ワイドガマットの ICC・XMP を付けた JPEG を作る（アップロード画像にメタデータがない場合でも監査できるように）
+export async function createTaggedInput(inputPath, outputPath) {
+  await sharp(inputPath)
+    .withIccProfile(TAGGED_PROFILE)
+    .withExif(TAGGED_EXIF)
+    .withXmp(TAGGED_XMP)
+    .jpeg({ quality: 95 })
+    .toFile(outputPath);
+  return outputPath;
+}
+
+// 色の確認用の参照（プロファイルを適用した正しい色と、プロファイルを無視した場合の色）
+export async function prepareColourReferences(inputPath, input) {
+  if (!input.icc) return null;
+  const scale = Math.min(1, COLOUR_CHECK_SIZE / Math.max(input.width, input.height));
+  const width = Math.max(1, Math.round(input.width * scale));
+  const height = Math.max(1, Math.round(input.height * scale));
+  const managed = await getRawData(inputPath, width, height);
+  const unmanagedImage = await sharp(inputPath, { ignoreIcc: true }).resize(width, height, { fit: 'fill' }).png().toBuffer();
+  return {
+    managed,
+    unmanaged: await getRawData(unmanagedImage),
+    profileDeltaE: await calculateColourDifference(managed, unmanagedImage)
+  };
+}
+
+function blockStatus(input, output) {
+  if (!input && !output) return 'absent';
+  if (!input) return 'added';
+  if (!output) return 'stripped';
+  return Buffer.compare(input, output) === 0 ? 'kept' : 'changed';
+}
+
+// 向き: タグがなくなり、90度回転を含む向き（5〜8）で縦横が入れ替わっていれば画素に適用済み
+// （180度などの縦横が変わらない向きは、寸法からは適用済みか判別できないため stripped とする）
+function orientationStatus(input, output) {
+  if (input.orientation == null) return output.orientation == null ? 'absent' : 'added';
+  const rotated = input.orientation >= 5 && output.width === input.height && output.height === input.width;
+  if (output.orientation == null) return rotated ? 'applied' : 'stripped';
+  if (output.orientation === input.orientation) return 'kept';
+  return output.orientation === 1 && rotated ? 'applied' : 'changed';
+}
+
+// 出力の色が、プロファイルを適用した色とプロファイルを無視した色のどちらに近いか
+// 無視した色に近ければ、プロファイルを捨てたうえで sRGB にも変換していない（カラープロファイルの消失）
+async function checkColour(outputPath, input, output, references) {
+  if (!references || output.width !== input.width || output.height !== input.height) return null;
+  const deltaE = await calculateColourDifference(references.managed, outputPath);
+  const unmanagedDeltaE = await calculateColourDifference(references.unmanaged, outputPath);
+  const significant = references.profileDeltaE >= PROFILE_SIGNIFICANT_DELTA_E;
+  return {
+    deltaE,
+    unmanagedDeltaE,
+    profileDeltaE: references.profileDeltaE,
+    profileLost: significant && !isSrgb(input.profile) && unmanagedDeltaE < deltaE
+  };
+}
+
+// 1つの出力を監査する
+export async function auditMetadata(input, outputPath, references) {
+  const output = await readMetadata(outputPath);
+  const blocks = Object.fromEntries(METADATA_BLOCKS.map(block => [block, blockStatus(input[block], output[block])]));
+  const colour = await checkColour(outputPath, input, output, references);
+  // プロファイルは捨てたが色は sRGB に変換されている場合
+  if (blocks.icc === 'stripped' && colour && !colour.profileLost && !isSrgb(input.profile) && colour.profileDeltaE >= PROFILE_SIGNIFICANT_DELTA_E) {
+    blocks.icc = 'converted';
+  }
+  return {
+    blocks,
+    orientation: { status: orientationStatus(input, output), input: input.orientation, output: output.orientation },
+    profile: { input: input.profile, output: output.profile },
+    colour
+  };
+}
+
+// 表・CSV 用の要約（例: "exif stripped, icc converted (Display P3 → none), xmp kept, orientation kept"）
+export function describeMetadataAudit(audit) {
+  const parts = METADATA_BLOCKS
+    .filter(block => audit.blocks[block] !== 'absent')
+    .map(block => (block === 'icc' && audit.profile.input !== audit.profile.output
+      ? `icc ${audit.blocks.icc} (${audit.profile.input ?? 'none'} → ${audit.profile.output ?? 'none'})`
+      : `${block} ${audit.blocks[block]}`));
+  if (audit.orientation.status !== 'absent') parts.push(`orientation ${audit.orientation.status}`);
+  if (audit.colour?.profileLost) parts.push(`colour profile lost (ΔE00 ${audit.colour.deltaE})`);
+  return parts.length ? parts.join(', ') : 'no metadata';
+}
@@ -0,0 +1,427 @@
+import sharp from 'sharp';
+import ssimModule from 'ssim.js';
+
+// 画質評価
+//   ssim / psnr   : グレースケールでの SSIM（ssim.js）と PSNR（従来からの指標）
+//   channels      : Y / Cb / Cr（BT.601 フルレンジ）ごとの PSNR と SSIM
+//   msssim        : 輝度(Y)の MS-SSIM（5スケール）
+//   deltaE        : CIEDE2000 色差の平均（0に近いほど色ずれが少ない）
+// グレースケールだけでは色ずれやクロマサブサンプリングの劣化が見えないため、色を含む指標を併せて返す
+// 色を含む指標は等倍で計算する（縮小するとクロマサブサンプリングやブロックノイズが平均されて見えなくなる）
+// 画像全体の YCbCr・Lab の配列は作らず、RGB の Raw データから行の帯（STRIP_ROWS 行）ごとに変換してメモリを抑える
+
+const ssim = ssimModule.ssim || ssimModule.default || ssimModule;
+
+// SSIM を計算する帯の行数（帯ごとに窓の高さ分の行を重ねて読む）
+const STRIP_ROWS = 128;
+
+// 画像をRGBのRawデータに変換する（比較対象と同じサイズに強制的に合わせる）
+export async function getRawData(imagePathOrBuffer, width, height) {
+  let pipeline = sharp(imagePathOrBuffer);
+  if (width && height) {
+    pipeline = pipeline.resize(width, height, { fit: 'fill' });
+  }
+
+  const { data, info } = await pipeline
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+// 参照画像から派生させたデータ（グレースケール）は操作ごとに使い回す
+// 必要になった時点で計算する
+const derivedCache = new WeakMap();
+
+const DERIVE = {
+  grey: (raw) => toGrey(raw)
+};
+
+async function derived(raw, key) {
+  let entry = derivedCache.get(raw);
+  if (!entry) {
+    entry = {};
+    derivedCache.set(raw, entry);
+  }
+  if (!(key in entry)) {
+    entry[key] = await DERIVE[key](raw);
+  }
+  return entry[key];
+}
+
+// 従来の ssim / psnr と同じく、sharp のグレースケール変換を使う
+async function toGrey({ data, width, height }) {
+  return sharp(data, { raw: { width, height, channels: 3 } })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+// BT.601 フルレンジの Y / Cb / Cr
+const CHANNELS = {
+  y: (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b,
+  cb: (r, g, b) => 128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+  cr: (r, g, b) => 128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+};
+
+// 平面を行単位で読む関数（rows(y0, y1) は y0 行目から y1 - 1 行目までの値）
+// RGB の Raw データからはその行だけを変換し、縮小済みの平面（Float32Array）からは部分配列を返す
+function channelRows(rgb, width, channel) {
+  const convert = CHANNELS[channel];
+  return (y0, y1) => {
+    const out = new Float32Array((y1 - y0) * width);
+    for (let p = 0, i = y0 * width * 3; p < out.length; p++, i += 3) {
+      out[p] = convert(rgb[i], rgb[i + 1], rgb[i + 2]);
+    }
+    return out;
+  };
+}
+
+function planeRows(plane, width) {
+  return (y0, y1) => plane.subarray(y0 * width, y1 * width);
+}
+
+// sRGB(D65) → CIELAB
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+const WHITE = [0.95047, 1, 1.08883];
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+// rgb[i..i+2] を Lab に変換して out[0..2] に書く
+function toLab(rgb, i, out) {
+  const r = SRGB_TO_LINEAR[rgb[i]];
+  const g = SRGB_TO_LINEAR[rgb[i + 1]];
+  const b = SRGB_TO_LINEAR[rgb[i + 2]];
+  const fx = labF((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / WHITE[0]);
+  const fy = labF((0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / WHITE[1]);
+  const fz = labF((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / WHITE[2]);
+  out[0] = 116 * fy - 16;
+  out[1] = 500 * (fx - fy);
+  out[2] = 200 * (fy - fz);
+}
+
+const RAD = Math.PI / 180;
+const POW25_7 = Math.pow(25, 7);
+
+// CIEDE2000（Sharma et al. 2005 の式）
+function ciede2000(L1, a1, b1, L2, a2, b2) {
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / RAD + 360) % 360;
+  const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / RAD + 360) % 360;
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * RAD);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * RAD)
+    + 0.24 * Math.cos(2 * hbarp * RAD)
+    + 0.32 * Math.cos((3 * hbarp + 6) * RAD)
+    - 0.20 * Math.cos((4 * hbarp - 63) * RAD);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+  const L50 = (Lbarp - 50) * (Lbarp - 50);
+  const SL = 1 + (0.015 * L50) / Math.sqrt(20 + L50);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * RAD) * RC;
+
+  const l = dLp / SL;
+  const c = dCp / SC;
+  const h = dHp / SH;
+  return Math.sqrt(l * l + c * c + h * h + RT * c * h);
+}
+
+// 画素ごとに Lab に変換しながら平均色差を求める（Lab の配列は持たない）
+function meanDeltaE(rgbRef, rgbTarget) {
+  const labRef = new Float32Array(3);
+  const labTarget = new Float32Array(3);
+  let sum = 0;
+  for (let i = 0; i < rgbRef.length; i += 3) {
+    toLab(rgbRef, i, labRef);
+    toLab(rgbTarget, i, labTarget);
+    sum += ciede2000(labRef[0], labRef[1], labRef[2], labTarget[0], labTarget[1], labTarget[2]);
+  }
+  return sum / (rgbRef.length / 3);
+}
+
+function calculatePSNR(refData, targetData) {
+  if (!refData || !targetData || refData.length !== targetData.length) {
+    return 0;
+  }
+
+  let mse = 0;
+  for (let i = 0; i < refData.length; i++) {
+    const error = refData[i] - targetData[i];
+    mse += error * error;
+  }
+  mse /= refData.length;
+
+  if (mse === 0) return Infinity; // 完全一致
+  // 最大信号値は255（8bit）
+  return 20 * Math.log10(255 / Math.sqrt(mse));
+}
+
+// Y / Cb / Cr ごとの PSNR（画素ごとに変換しながら二乗誤差を集計する）
+function channelPSNR(rgbRef, rgbTarget) {
+  const { y, cb, cr } = CHANNELS;
+  let sumY = 0, sumCb = 0, sumCr = 0;
+  for (let i = 0; i < rgbRef.length; i += 3) {
+    const r1 = rgbRef[i], g1 = rgbRef[i + 1], b1 = rgbRef[i + 2];
+    const r2 = rgbTarget[i], g2 = rgbTarget[i + 1], b2 = rgbTarget[i + 2];
+    const dy = y(r1, g1, b1) - y(r2, g2, b2);
+    const dcb = cb(r1, g1, b1) - cb(r2, g2, b2);
+    const dcr = cr(r1, g1, b1) - cr(r2, g2, b2);
+    sumY += dy * dy;
+    sumCb += dcb * dcb;
+    sumCr += dcr * dcr;
+  }
+  const pixels = rgbRef.length / 3;
+  const psnr = (sum) => (sum === 0 ? Infinity : 20 * Math.log10(255 / Math.sqrt(sum / pixels)));
+  return { y: psnr(sumY), cb: psnr(sumCb), cr: psnr(sumCr) };
+}
+
+// SSIM（11x11 ガウス窓、σ=1.5、有効領域のみ）。MS-SSIM 用に cs（コントラスト・構造項）の平均も返す
+const WINDOW = 11;
+const GAUSSIAN = (() => {
+  const weights = Array.from({ length: WINDOW }, (_, i) => Math.exp(-((i - 5) ** 2) / (2 * 1.5 * 1.5)));
+  const sum = weights.reduce((a, b) => a + b, 0);
+  return Float64Array.from(weights, w => w / sum);
+})();
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// a, b は平面を行単位で読む関数（channelRows / planeRows）。STRIP_ROWS 行ずつ計算し、画像全体の中間配列は持たない
+function gaussianSsim(a, b, width, height) {
+  const outWidth = width - WINDOW + 1;
+  const outHeight = height - WINDOW + 1;
+  if (outWidth < 1 || outHeight < 1) return null;
+
+  let ssimSum = 0;
+  let csSum = 0;
+  for (let y0 = 0; y0 < outHeight; y0 += STRIP_ROWS) {
+    const stripHeight = Math.min(STRIP_ROWS, outHeight - y0);
+    const inHeight = stripHeight + WINDOW - 1;
+    const rowsA = a(y0, y0 + inHeight);
+    const rowsB = b(y0, y0 + inHeight);
+
+    // 横方向のフィルタ（a, b, a², b², ab の5種類）
+    const size = outWidth * inHeight;
+    const mA = new Float32Array(size);
+    const mB = new Float32Array(size);
+    const mAA = new Float32Array(size);
+    const mBB = new Float32Array(size);
+    const mAB = new Float32Array(size);
+    for (let y = 0; y < inHeight; y++) {
+      const row = y * width;
+      for (let x = 0; x < outWidth; x++) {
+        let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+        for (let k = 0; k < WINDOW; k++) {
+          const w = GAUSSIAN[k];
+          const va = rowsA[row + x + k];
+          const vb = rowsB[row + x + k];
+          sa += w * va;
+          sb += w * vb;
+          saa += w * va * va;
+          sbb += w * vb * vb;
+          sab += w * va * vb;
+        }
+        const o = y * outWidth + x;
+        mA[o] = sa; mB[o] = sb; mAA[o] = saa; mBB[o] = sbb; mAB[o] = sab;
+      }
+    }
+
+    // 縦方向のフィルタを掛けながら SSIM / cs を集計
+    for (let y = 0; y < stripHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        let ua = 0, ub = 0, uaa = 0, ubb = 0, uab = 0;
+        for (let k = 0; k < WINDOW; k++) {
+          const w = GAUSSIAN[k];
+          const o = (y + k) * outWidth + x;
+          ua += w * mA[o];
+          ub += w * mB[o];
+          uaa += w * mAA[o];
+          ubb += w * mBB[o];
+          uab += w * mAB[o];
+        }
+        const varA = uaa - ua * ua;
+        const varB = ubb - ub * ub;
+        const cov = uab - ua * ub;
+        const cs = (2 * cov + C2) / (varA + varB + C2);
+        csSum += cs;
+        ssimSum += ((2 * ua * ub + C1) / (ua * ua + ub * ub + C1)) * cs;
+      }
+    }
+  }
+
+  const count = outWidth * outHeight;
+  return { ssim: ssimSum / count, cs: csSum / count };
+}
+
+// 2x2 平均で半分のサイズに縮小（rows は行単位で読む関数。結果は1/4の大きさの平面）
+function halve(rows, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const pair = rows(2 * y, 2 * y + 2);
+    for (let x = 0; x < w; x++) {
+      const i = 2 * x;
+      out[y * w + x] = (pair[i] + pair[i + 1] + pair[i + width] + pair[i + width + 1]) / 4;
+    }
+  }
+  return { rows: planeRows(out, w), width: w, height: h };
+}
+
+// MS-SSIM（Wang et al. 2003）。小さい画像では取れるスケールだけで重みを正規化する
+// ssim には最初のスケール（等倍）の SSIM を返す。a, b は行単位で読む関数
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+function msSsim(a, b, width, height) {
+  const scales = [];
+  let current = { a, b, width, height };
+  for (let i = 0; i < MS_SSIM_WEIGHTS.length; i++) {
+    const result = gaussianSsim(current.a, current.b, current.width, current.height);
+    if (!result) break;
+    scales.push(result);
+    if (i < MS_SSIM_WEIGHTS.length - 1) {
+      const ha = halve(current.a, current.width, current.height);
+      const hb = halve(current.b, current.width, current.height);
+      current = { a: ha.rows, b: hb.rows, width: ha.width, height: ha.height };
+    }
+  }
+  if (!scales.length) return null;
+
+  const weights = MS_SSIM_WEIGHTS.slice(0, scales.length);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  // 負の値は0として扱う（非整数の指数を取れないため）
+  const value = scales.reduce((product, scale, i) => {
+    const base = i === scales.length - 1 ? scale.ssim : scale.cs;
+    return product * Math.pow(Math.max(0, base), weights[i] / total);
+  }, 1);
+
+  return { msssim: value, ssim: scales[0].ssim };
+}
+
+// ssim.js は RGBA の ImageData を受け取り内部で輝度に変換するため、1チャンネルのデータは R=G=B に展開して渡す
+// （R=G=B=v のとき ssim.js の整数輝度変換は v を返す）
+function toImageData(grey, width, height) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < grey.length; i++, j += 4) {
+    rgba[j] = rgba[j + 1] = rgba[j + 2] = grey[i];
+    rgba[j + 3] = 255;
+  }
+  return { data: rgba, width, height };
+}
+
+function round(value, digits) {
+  if (value == null || Number.isNaN(value)) return null;
+  return parseFloat(value.toFixed(digits));
+}
+
+function roundPSNR(psnr) {
+  return psnr === Infinity ? 100 : round(psnr, 2); // Infinityの場合は便宜上100dB
+}
+
+// グレースケールの ssim / psnr だけを計算する（レート歪み曲線など、多数の出力を評価する場合用）
+export async function calculateGreyMetrics(refRaw, targetPath) {
+  const targetRaw = await getRawData(targetPath, refRaw.width, refRaw.height);
+  const refGrey = await derived(refRaw, 'grey');
+  const grey = await toGrey(targetRaw);
+  const { width, height } = refRaw;
+  return {
+    psnr: roundPSNR(calculatePSNR(refGrey, grey)),
+    ssim: round(ssim(toImageData(refGrey, width, height), toImageData(grey, width, height)).mssim, 4)
+  };
+}
+
+// 平均色差（CIEDE2000）だけを計算する（メタデータ監査で、カラープロファイルの扱いによる色ずれを確認する用）
+export async function calculateColourDifference(refRaw, targetPathOrBuffer) {
+  const targetRaw = await getRawData(targetPathOrBuffer, refRaw.width, refRaw.height);
+  return round(meanDeltaE(refRaw.data, targetRaw.data), 3);
+}
+
+// 品質探索用に、指定した1つの指標だけを計算する（metric: 'ssim' | 'msssim'）
+export async function measureSimilarity(refRaw, targetPath, metric) {
+  const targetRaw = await getRawData(targetPath, refRaw.width, refRaw.height);
+  const { width, height } = refRaw;
+
+  if (metric === 'msssim') {
+    const ms = msSsim(channelRows(refRaw.data, width, 'y'), channelRows(targetRaw.data, width, 'y'), width, height);
+    return ms?.msssim ?? 0;
+  }
+  const refGrey = await derived(refRaw, 'grey');
+  const grey = await toGrey(targetRaw);
+  return ssim(toImageData(refGrey, width, height), toImageData(grey, width, height)).mssim;
+}
+
+export async function calculateMetrics(refRaw, targetPath) {
+  try {
+    // ターゲット画像をRawデータに変換（サイズは参照画像に合わせる）
+    const targetRaw = await getRawData(targetPath, refRaw.width, refRaw.height);
+    const refGrey = await derived(refRaw, 'grey');
+    const targetGrey = await toGrey(targetRaw);
+    const { width, height } = refRaw;
+    const rows = (channel) => [channelRows(refRaw.data, width, channel), channelRows(targetRaw.data, width, channel)];
+
+    const greySsim = ssim(toImageData(refGrey, width, height), toImageData(targetGrey, width, height));
+    const ms = msSsim(...rows('y'), width, height);
+    const psnr = channelPSNR(refRaw.data, targetRaw.data);
+    const channels = {
+      y: {
+        psnr: roundPSNR(psnr.y),
+        ssim: round(ms?.ssim, 4)
+      }
+    };
+    for (const key of ['cb', 'cr']) {
+      channels[key] = {
+        psnr: roundPSNR(psnr[key]),
+        ssim: round(gaussianSsim(...rows(key), width, height)?.ssim, 4)
+      };
+    }
+
+    const result = {
+      psnr: roundPSNR(calculatePSNR(refGrey, targetGrey)),
+      ssim: round(greySsim.mssim, 4),
+      msssim: round(ms?.msssim, 4),
+      deltaE: round(meanDeltaE(refRaw.data, targetRaw.data), 3),
+      channels
+    };
+
+    console.log(`[calculateMetrics] Calculated: SSIM=${result.ssim}, PSNR=${result.psnr}dB, MS-SSIM=${result.msssim}, ΔE00=${result.deltaE}`);
+    return result;
+  } catch (e) {
+    console.error('Metrics calculation failed:', e);
+    console.error('Stack:', e.stack);
+    return { psnr: 0, ssim: 0, msssim: null, deltaE: null, channels: null };
+  }
+}
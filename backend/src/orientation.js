@@ -0,0 +1,103 @@
+import path from 'path';
+import sharp from 'sharp';
+import { getRawData, calculateMetrics } from './metrics.js';
+
+// EXIF の向き（Orientation タグ 1〜8）のテスト
+// 向きを適用した元画像を正解とし、8種類の向きのタグを付けた入力を作る（保存する画素は、タグを適用すると正解に戻るように変換する）
+// 出力にも向きのタグが残っていれば、表示される向き（タグを適用した後）で正解と比べる
+
+// 表示時の変換（exiftool の表記）と、タグを適用すると元に戻る画素を作るための逆変換
+// 逆変換は sharp の操作を順に適用する（1つのパイプラインでは rotate と flip / flop の順序を指定できないため1段ずつ）
+export const ORIENTATIONS = [
+  { value: 1, label: 'Horizontal (normal)', inverse: [] },
+  { value: 2, label: 'Mirror horizontal', inverse: ['flop'] },
+  { value: 3, label: 'Rotate 180°', inverse: [{ rotate: 180 }] },
+  { value: 4, label: 'Mirror vertical', inverse: ['flip'] },
+  { value: 5, label: 'Mirror horizontal + rotate 270° CW', inverse: [{ rotate: 90 }, 'flop'] },
+  { value: 6, label: 'Rotate 90° CW', inverse: [{ rotate: 270 }] },
+  { value: 7, label: 'Mirror horizontal + rotate 90° CW', inverse: [{ rotate: 90 }, 'flip'] },
+  { value: 8, label: 'Rotate 270° CW', inverse: [{ rotate: 90 }] }
+];
+
+// 正解と同じ向きとみなす SSIM（表示される画像のサイズが正解と同じであることも条件）
+// 向きを誤った場合は画像の内容が回転・反転するため、非可逆圧縮の劣化よりはるかに大きく下がる
+export const ORIENTATION_PASS_SSIM = 0.8;
+
+async function applySteps(buffer, steps) {
+  let current = buffer;
+  for (const step of steps) {
+    const pipeline = sharp(current);
+    if (step === 'flop') pipeline.flop();
+    else if (step === 'flip') pipeline.flip();
+    else pipeline.rotate(step.rotate);
+    current = await pipeline.png().toBuffer();
+  }
+  return current;
+}
+
+// 正解（アップロード画像に向きを適用したもの）と、向き1〜8のタグ付き JPEG を作る
+// アップロード画像自体に向きのタグがあれば、それも入力に加える。返す reference は calculateMetrics 用の Raw データ
+export async function createOrientationVariants(inputPath, outputDir) {
+  const upright = await sharp(inputPath).autoOrient().png().toBuffer();
+  const reference = await getRawData(upright);
+  const variants = [];
+
+  for (const { value, label, inverse } of ORIENTATIONS) {
+    const variantPath = path.join(outputDir, `orientation_input_${value}.jpg`);
+    await sharp(await applySteps(upright, inverse))
+      .withMetadata({ orientation: value })
+      .jpeg({ quality: 95 })
+      .toFile(variantPath);
+    variants.push({ orientation: value, label, path: variantPath });
+  }
+
+  const { orientation: uploadedOrientation } = await sharp(inputPath).metadata();
+  if (uploadedOrientation > 1) {
+    variants.push({ orientation: uploadedOrientation, label: 'Uploaded image', path: inputPath });
+  }
+
+  // タグを無視しても正解と区別できない向き（左右対称の画像の左右反転など）は判定できない
+  for (const variant of variants) {
+    const { width, height } = await sharp(variant.path).metadata();
+    variant.distinguishable = variant.orientation === 1 || !(await matchesReference(reference, variant.path, width, height));
+  }
+
+  return { reference, variants };
+}
+
+// 画像を表示される向き（タグを適用した後）にする。タグがなければそのまま
+async function displayedImage(filePath) {
+  const { orientation, width, height } = await sharp(filePath).metadata();
+  if (!orientation || orientation === 1) return { image: filePath, orientation: orientation ?? null, width, height };
+  const { data, info } = await sharp(filePath).autoOrient().png().toBuffer({ resolveWithObject: true });
+  return { image: data, orientation, width: info.width, height: info.height };
+}
+
+async function matchesReference(reference, image, width, height) {
+  if (width !== reference.width || height !== reference.height) return false;
+  const { ssim } = await calculateMetrics(reference, image);
+  return ssim >= ORIENTATION_PASS_SSIM;
+}
+
+// 1つの出力を判定する（runSingleTest の checkOutput として使う）
+//   pass         表示される向きとサイズが正解と一致
+//   fail         一致しない（向きのタグを無視した・誤って適用した）
+//   inconclusive 一致したが、入力のタグを無視しても一致する画像のため判定できない
+export async function checkOrientation(reference, variant, outputPath) {
+  const { image, orientation, width, height } = await displayedImage(outputPath);
+  const sameSize = width === reference.width && height === reference.height;
+  // サイズが異なる（横倒しなど）場合も、正解のサイズに合わせて指標は計算する
+  const metrics = await calculateMetrics(reference, image);
+  const matches = sameSize && metrics.ssim >= ORIENTATION_PASS_SSIM;
+  const status = !matches ? 'fail' : variant.distinguishable ? 'pass' : 'inconclusive';
+  return {
+    ...metrics,
+    orientation: {
+      input: variant.orientation,
+      output: orientation,
+      displayed: { width, height },
+      expected: { width: reference.width, height: reference.height },
+      status
+    }
+  };
+}
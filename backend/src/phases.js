@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { measureRuns } from './measure.js';
+import { summarize } from './stats.js';
+import { createOpenFn, createPhaseFns } from './tasks.js';
+
+// 処理段階ごとの時間（runOptions.phases のときに runSingleTest から呼ばれる）
+// 通常の time は読み込み・デコード・リサイズ・エンコード・書き出しをまとめた値なので、差がコーデックと I/O のどちらから来るかを分けて見る
+//
+//   decode     読み込み + デコード（raw まで）
+//   transform  向きの適用・リサイズ（デコード + 変換 の時間からデコードの時間を引いた値）
+//   encode     raw からのエンコード（メモリ上のバッファまで）
+//   write      エンコード済みのバッファをファイルに書き出す時間
+//   pipeline   読み込みからエンコードまでをメモリ上で通しで実行した時間（decode / encode を計れないエンジンでも計測できる）
+//
+// 各段階はアダプターが対応している範囲でのみ計測し、計れない段階は null にする
+// 分離実行モードでも段階別の計測は同じプロセス内で行う（時間の内訳を見るためのもので、メモリは計測しない）
+
+const round = (value) => (value == null ? null : Math.round(value * 100) / 100);
+
+async function medianOf(fns, options) {
+  const { samples, output } = await measureRuns(fns, options);
+  return { median: summarize(samples).median, output };
+}
+
+// engine / task / inputPath / raw は runSingleTest と同じもの。outputDir には write の計測用の一時ファイルを作る
+export async function measurePhases({ engine, task, inputPath, raw = null, outputDir, runOptions }) {
+  const phaseFns = createPhaseFns(engine, task);
+  const open = createOpenFn(engine, task, inputPath, raw);
+  if (!phaseFns || !open) return null;
+  const options = { warmup: runOptions.warmup, iterations: runOptions.iterations };
+
+  const decode = phaseFns.decode ? await medianOf({ setup: open, run: phaseFns.decode }, options) : null;
+  const decodeTransform = phaseFns.decodeTransform ? await medianOf({ setup: open, run: phaseFns.decodeTransform }, options) : null;
+  // エンコードは、実際の処理でエンコーダーに渡るのと同じ（変換後の）画素から行う
+  const pixels = (decodeTransform ?? decode)?.output;
+  const encode = phaseFns.encode && pixels ? await medianOf({ setup: () => pixels, run: phaseFns.encode }, options) : null;
+  const pipeline = phaseFns.pipeline ? await medianOf({ setup: open, run: phaseFns.pipeline }, options) : null;
+
+  let write = null;
+  const encoded = (pipeline ?? encode)?.output;
+  if (Buffer.isBuffer(encoded)) {
+    const writePath = path.join(outputDir, `phase_write_${uuidv4()}`);
+    try {
+      write = await medianOf({ run: () => fs.promises.writeFile(writePath, encoded) }, options);
+    } finally {
+      fs.rmSync(writePath, { force: true });
+    }
+  }
+
+  const phases = {
+    decode: round(decode?.median),
+    transform: decodeTransform && decode ? round(Math.max(0, decodeTransform.median - decode.median)) : null,
+    encode: round(encode?.median),
+    write: round(write?.median),
+    pipeline: round(pipeline?.median)
+  };
+  if (Object.values(phases).every(value => value == null)) return null;
+  console.log(`[phases] ${engine.label}: ${Object.entries(phases).map(([name, value]) => `${name}=${value ?? '-'}ms`).join(', ')}`);
+  return phases;
+}
@@ -0,0 +1,39 @@
+// 目標の画質指標に達する最小の quality を二分探索で求める
+// 画質指標は quality に対して（概ね）単調増加であることを前提とする
+//
+//   probe(quality) => Promise<{ value, size }>  指定した quality でエンコードし、画質指標とサイズを返す
+//
+// 戻り値の reached が false の場合、max でも目標に届かなかった（quality は max）
+export async function searchQuality(probe, { target, min = 1, max = 100 }) {
+  const probes = new Map();
+  const measure = async (quality) => {
+    if (!probes.has(quality)) {
+      probes.set(quality, { quality, ...(await probe(quality)) });
+    }
+    return probes.get(quality);
+  };
+
+  let best = null;
+  let low = min;
+  let high = max;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const result = await measure(mid);
+    if (result.value >= target) {
+      best = result;
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  const reached = best != null;
+  const matched = best ?? await measure(max);
+  return {
+    quality: matched.quality,
+    value: matched.value,
+    size: matched.size,
+    reached,
+    probes: [...probes.values()].sort((a, b) => a.quality - b.quality)
+  };
+}
@@ -0,0 +1,329 @@
+import path from 'path';
+import fs from 'fs';
+import sharp from 'sharp';
+import { memoryOf } from './compare.js';
+import { describeMetadataAudit } from './metadataAudit.js';
+
+// セッション結果のエクスポート（CSV / JSON / Markdown / 単一ファイルのHTML）
+// どの形式にもエンジンのバージョンと実行環境を含める（環境を記録していない古いセッションは "not recorded"）
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// HTMLに埋め込むサムネイルの最大幅
+const THUMBNAIL_WIDTH = 160;
+
+function exportError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function enginesOf(session) {
+  if (session.engines?.length) return session.engines;
+  // engines を持たない古いセッション
+  return [{ id: 'lazyImage', label: 'lazy-image' }, { id: 'sharp', label: 'sharp' }];
+}
+
+// コーパスは画像ごと、単一画像はセッション自体を1枚の画像として扱う
+function imagesOf(session) {
+  if (session.kind === 'corpus') return session.images || [];
+  return [{ originalName: session.upload?.originalName ?? session.original?.filename, ...session }];
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// 操作×エンジンごとの行（RDスイープは quality の点ごとに1行）
+const COLUMNS = [
+  'image', 'category', 'operation', 'engine', 'version', 'status',
+  'timeMs', 'p95Ms', 'sizeBytes', 'width', 'height', 'memoryMB', 'ssim', 'psnr', 'msssim', 'deltaE',
+  'quality', 'opsPerSec', 'decodeMs', 'transformMs', 'encodeMs', 'writeMs', 'pipelineMs',
+  'intermediate', 'intermediateMs', 'intermediateSsim', 'metadata', 'orientation', 'error', 'warnings'
+];
+
+function measuredRow(engineResult) {
+  return {
+    timeMs: engineResult.stats?.median ?? engineResult.time,
+    p95Ms: engineResult.stats?.p95 ?? null,
+    sizeBytes: engineResult.size,
+    width: engineResult.dimensions?.width ?? null,
+    height: engineResult.dimensions?.height ?? null,
+    memoryMB: engineResult.points ? null : memoryOf(engineResult),
+    ssim: engineResult.ssim ?? null,
+    psnr: engineResult.psnr ?? null,
+    msssim: engineResult.msssim ?? null,
+    deltaE: engineResult.deltaE ?? null,
+    quality: engineResult.equalQuality?.quality ?? engineResult.quality ?? null,
+    opsPerSec: engineResult.throughput?.opsPerSec ?? null,
+    decodeMs: engineResult.phases?.decode ?? null,
+    transformMs: engineResult.phases?.transform ?? null,
+    encodeMs: engineResult.phases?.encode ?? null,
+    writeMs: engineResult.phases?.write ?? null,
+    pipelineMs: engineResult.phases?.pipeline ?? null,
+    intermediate: engineResult.intermediate
+      ? `${engineResult.intermediate.from}→${engineResult.intermediate.format}${engineResult.intermediate.requested ? ` (${engineResult.intermediate.requested} requested)` : ''}`
+      : null,
+    intermediateMs: engineResult.intermediate?.conversionTime ?? null,
+    intermediateSsim: engineResult.intermediate?.metrics?.ssim ?? null,
+    metadata: engineResult.metadata ? describeMetadataAudit(engineResult.metadata) : null,
+    orientation: engineResult.orientation?.status ?? null
+  };
+}
+
+function collectExportRows(session) {
+  const engines = enginesOf(session);
+  const rows = [];
+  for (const image of imagesOf(session)) {
+    if (image.error) {
+      rows.push({ image: image.originalName, status: 'error', error: image.error });
+      continue;
+    }
+    for (const category of image.categories || []) {
+      for (const result of category.results) {
+        for (const engine of engines) {
+          const base = {
+            image: image.originalName,
+            category: category.name,
+            operation: result.operation,
+            engine: engine.label,
+            version: session.versions?.[engine.id] ?? engine.version ?? null,
+            warnings: result.warnings?.join('; ')
+          };
+          const engineResult = result[engine.id];
+          if (!engineResult?.supported) {
+            rows.push({ ...base, status: 'not supported' });
+          } else if (engineResult.error) {
+            rows.push({ ...base, status: 'error', error: engineResult.error });
+          } else if (engineResult.points) {
+            engineResult.points.forEach(point => rows.push({ ...base, status: 'ok', ...measuredRow(point) }));
+          } else {
+            rows.push({ ...base, status: 'ok', ...measuredRow(engineResult) });
+          }
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+// レポート先頭の情報（セッション・入力・バージョン・環境・実行条件）
+function describeHeader(session) {
+  const environment = session.environment;
+  const inputs = session.kind === 'corpus'
+    ? `${session.images?.length ?? 0} images (corpus)`
+    : session.original
+      ? `${session.upload?.originalName ?? session.original.filename} (${session.original.width}x${session.original.height} ${session.original.format}, ${formatBytes(session.original.size)})`
+      : '-';
+  return [
+    ['Session', session.id],
+    ['Created', session.createdAt],
+    ['Input', inputs],
+    ['Versions', enginesOf(session).map(engine => `${engine.label} ${session.versions?.[engine.id] ?? engine.version ?? 'unknown'}`).join(', ')],
+    ['Environment', environment
+      ? `Node ${environment.node}, ${environment.platform}/${environment.arch} ${environment.osRelease}, ${environment.cpuModel} × ${environment.cpuCount}, ${environment.totalMemoryMB} MB RAM`
+      : 'not recorded'],
+    ['Run options', session.runOptions
+      ? `${session.runOptions.iterations} runs (+${session.runOptions.warmup} warm-up), isolation ${session.runOptions.isolation}${session.runOptions.phases ? ', phase breakdown' : ''}`
+      : 'not recorded']
+  ];
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// メタデータは "# " で始まるコメント行として先頭に置く
+function toCsv(session) {
+  const lines = describeHeader(session).map(([key, value]) => `# ${key}: ${value}`);
+  lines.push(COLUMNS.join(','));
+  for (const row of collectExportRows(session)) {
+    lines.push(COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toJson(session) {
+  return JSON.stringify({ ...session, environment: session.environment ?? null }, null, 2);
+}
+
+// 表のセル（時間・サイズ・SSIM をまとめて1セルに）
+function describeCell(engineResult) {
+  if (!engineResult?.supported) return 'not supported';
+  if (engineResult.error) return `error: ${engineResult.error}`;
+  if (engineResult.points) return `${engineResult.points.length} points`;
+  if (engineResult.metadata) return describeMetadataAudit(engineResult.metadata);
+  const parts = [`${engineResult.stats?.median ?? engineResult.time} ms`, formatBytes(engineResult.size)];
+  if (engineResult.dimensions) parts.push(`${engineResult.dimensions.width}x${engineResult.dimensions.height}`);
+  if (engineResult.ssim != null) parts.push(`SSIM ${engineResult.ssim.toFixed(4)}`);
+  if (engineResult.throughput) parts.push(`${engineResult.throughput.opsPerSec} ops/s`);
+  if (engineResult.orientation) parts.push(`orientation ${engineResult.orientation.status}`);
+  return parts.join(' · ');
+}
+
+const mdCell = (value) => String(value ?? '-').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function mdTable(headers, rows) {
+  return [
+    `| ${headers.map(mdCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function toMarkdown(session) {
+  const engines = enginesOf(session);
+  const lines = ['# Image processing benchmark', ''];
+  describeHeader(session).forEach(([key, value]) => lines.push(`- **${key}:** ${value}`));
+
+  const aggregates = session.kind === 'corpus' ? session.aggregates : null;
+  if (aggregates?.operations?.length) {
+    lines.push('', `## Corpus summary (${aggregates.succeeded}/${aggregates.images} images)`, '');
+    lines.push(mdTable(
+      ['Operation', ...engines.map(engine => engine.label)],
+      aggregates.operations.map(op => [
+        op.operation,
+        ...engines.map(({ id }) => {
+          const stats = op.engines?.[id];
+          if (!stats?.images) return '-';
+          const ssim = stats.meanSsim != null ? ` · SSIM ${stats.meanSsim.toFixed(4)}` : '';
+          return `${stats.meanTime} ms · ${formatBytes(stats.totalBytes)}${ssim}`;
+        })
+      ])
+    ));
+  }
+
+  for (const image of imagesOf(session)) {
+    if (session.kind === 'corpus') lines.push('', `## ${image.originalName}`);
+    if (image.error) {
+      lines.push('', `Error: ${image.error}`);
+      continue;
+    }
+    for (const category of image.categories || []) {
+      lines.push('', `${session.kind === 'corpus' ? '###' : '##'} ${category.name}`, '');
+      lines.push(mdTable(
+        ['Operation', ...engines.map(engine => engine.label)],
+        category.results.map(result => [result.operation, ...engines.map(({ id }) => describeCell(result[id]))])
+      ));
+      const warnings = category.results.flatMap(result => (result.warnings || []).map(warning => `${result.operation}: ${warning}`));
+      if (warnings.length) lines.push('', ...warnings.map(warning => `> ⚠ ${warning}`));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 出力・入力画像を縮小してdata URIにする（読めない形式や削除済みのファイルは null）
+async function thumbnail(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  try {
+    const buffer = await sharp(filePath)
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    console.warn(`[report] Thumbnail failed for ${path.basename(filePath)}:`, error.message);
+    return null;
+  }
+}
+
+// /output/... のURLをファイルパスに変換する（outputRoot の外は参照しない）
+function outputPathOf(url, outputRoot) {
+  if (!url?.startsWith('/output/')) return null;
+  const filePath = path.resolve(outputRoot, url.slice('/output/'.length));
+  return filePath.startsWith(path.resolve(outputRoot) + path.sep) ? filePath : null;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+th { background: #f5f5f5; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+img { display: block; max-width: ${THUMBNAIL_WIDTH}px; margin-bottom: 0.25rem; }
+.muted { color: #888; }
+.warning { color: #b45309; font-size: 0.8rem; }
+`;
+
+async function toHtml(session, { outputRoot, uploadsDir }) {
+  const engines = enginesOf(session);
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>Benchmark ${escapeHtml(session.id)}</title>`,
+    `<style>${HTML_STYLE}</style></head><body>`,
+    '<h1>Image processing benchmark</h1>',
+    '<dl>',
+    ...describeHeader(session).map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(value)}</dd>`),
+    '</dl>'
+  ];
+
+  for (const image of imagesOf(session)) {
+    parts.push(`<h2>${escapeHtml(image.originalName)}</h2>`);
+    if (image.error) {
+      parts.push(`<p>Error: ${escapeHtml(image.error)}</p>`);
+      continue;
+    }
+    const original = image.original?.filename && await thumbnail(path.join(uploadsDir, path.basename(image.original.filename)));
+    if (original) parts.push(`<img src="${original}" alt="Original">`);
+
+    for (const category of image.categories || []) {
+      parts.push(`<h3>${escapeHtml(category.name)}</h3>`, '<table><thead><tr><th>Operation</th>');
+      engines.forEach(engine => parts.push(`<th>${escapeHtml(engine.label)}</th>`));
+      parts.push('</tr></thead><tbody>');
+      for (const result of category.results) {
+        const warnings = (result.warnings || []).map(warning => `<div class="warning">⚠ ${escapeHtml(warning)}</div>`).join('');
+        parts.push(`<tr><td>${escapeHtml(result.operation)}${warnings}</td>`);
+        for (const { id } of engines) {
+          const engineResult = result[id];
+          // RDスイープは点が多いのでサムネイルを付けない
+          const src = engineResult?.url && !engineResult.error ? await thumbnail(outputPathOf(engineResult.url, outputRoot)) : null;
+          const text = escapeHtml(describeCell(engineResult));
+          parts.push(`<td>${src ? `<img src="${src}" alt="">` : ''}${engineResult?.supported ? text : `<span class="muted">${text}</span>`}</td>`);
+        }
+        parts.push('</tr>');
+      }
+      parts.push('</tbody></table>');
+    }
+  }
+  parts.push('</body></html>');
+  return parts.join('\n');
+}
+
+// format に応じた本文とヘッダー用の情報を返す
+export async function exportSession(session, format, { outputRoot, uploadsDir }) {
+  // format はクエリ文字列そのまま（配列や __proto__ などもあり得る）なので、自身のキーだけを受け付ける
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw exportError(`Unknown export format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  const exportFormat = EXPORT_FORMATS[format];
+  const renderers = {
+    csv: () => toCsv(session),
+    json: () => toJson(session),
+    md: () => toMarkdown(session),
+    html: () => toHtml(session, { outputRoot, uploadsDir })
+  };
+  return {
+    body: await renderers[format](),
+    contentType: exportFormat.contentType,
+    filename: `benchmark-${session.id.slice(0, 8)}-${(session.createdAt || '').slice(0, 10)}.${exportFormat.extension}`
+  };
+}
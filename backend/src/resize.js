@@ -0,0 +1,57 @@
+// リサイズのフィットモードと出力サイズの計算
+// エンジンごとに resize の意味（幅のみ指定・枠内に収める等）が異なるため、出力サイズはここで計算し、
+// 各アダプターには同じピクセル寸法（と切り抜き範囲）を渡す
+//
+//   inside  枠（width x height）に収まる最大サイズ（アスペクト比維持）
+//   cover   枠を覆う最小サイズ（アスペクト比維持、切り抜きなし）
+//   fill    枠のサイズに引き伸ばす（アスペクト比は維持しない）
+//   width   幅のみ指定（高さはアスペクト比から算出）
+//   exact   枠を覆うサイズに縮小してから中央を切り抜き、ちょうど width x height にする
+
+export const FIT_MODES = ['inside', 'cover', 'fill', 'width', 'exact'];
+
+// height がなければ幅のみ、あれば枠内に収める（従来の挙動）
+export function defaultFit(height) {
+  return height == null ? 'width' : 'inside';
+}
+
+// 元画像のサイズとリサイズ指定から { width, height, crop } を返す
+// width / height は縮小後のサイズ、crop は縮小後の画像から切り抜く範囲（exact のみ）
+export function resizeGeometry(source, { width, height, fit = defaultFit(height) }) {
+  const scaled = (scale) => ({
+    width: Math.max(1, Math.round(source.width * scale)),
+    height: Math.max(1, Math.round(source.height * scale))
+  });
+
+  switch (fit) {
+    case 'width':
+      return { ...scaled(width / source.width), width, crop: null };
+    case 'inside':
+      return { ...scaled(Math.min(width / source.width, height / source.height)), crop: null };
+    case 'cover':
+      return { ...scaled(Math.max(width / source.width, height / source.height)), crop: null };
+    case 'fill':
+      return { width, height, crop: null };
+    case 'exact': {
+      const resized = scaled(Math.max(width / source.width, height / source.height));
+      return {
+        ...resized,
+        crop: {
+          left: Math.floor((resized.width - width) / 2),
+          top: Math.floor((resized.height - height) / 2),
+          width,
+          height
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown fit mode: ${fit}`);
+  }
+}
+
+// 出力画像の最終的なサイズ
+export function outputDimensions(geometry) {
+  return geometry.crop
+    ? { width: geometry.crop.width, height: geometry.crop.height }
+    : { width: geometry.width, height: geometry.height };
+}
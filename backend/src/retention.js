@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+
+// 保存期間（TTL）とディスク容量の上限（quota）によるアップロード・出力・セッションの自動削除
+// 古いセッションから順に、セッションJSON・出力ディレクトリ・アップロードファイルをまとめて削除する（sessionStore.remove）
+//
+//   TTL    作成から ttlHours を過ぎたセッションを削除する
+//   quota  合計サイズが quotaBytes を超えている間、古いセッションから削除する
+//
+// ベースラインのセッションと、待機中・実行中のジョブのファイルは削除しない
+// セッションに属さないファイル（失敗したジョブのアップロードなど）も同じ規則で削除するが、
+// 書き込み中の可能性があるため更新から ORPHAN_GRACE_MS 以内のものと、ジョブの実行中のアップロードは残す
+
+const HOUR_MS = 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+const ORPHAN_GRACE_MS = HOUR_MS;
+
+// 環境変数の既定値（0 でそれぞれ無効）
+export const DEFAULT_RETENTION = {
+  ttlHours: 7 * 24,
+  quotaGb: 20,
+  intervalMinutes: 15
+};
+
+function parseLimit(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// 環境変数から設定を解決する（不正値は既定値）
+export function resolveRetentionOptions(env = process.env) {
+  return {
+    ttlHours: parseLimit(env.RETENTION_TTL_HOURS, DEFAULT_RETENTION.ttlHours),
+    quotaGb: parseLimit(env.DISK_QUOTA_GB, DEFAULT_RETENTION.quotaGb),
+    intervalMinutes: parseLimit(env.RETENTION_INTERVAL_MINUTES, DEFAULT_RETENTION.intervalMinutes)
+  };
+}
+
+// 手動削除（POST /api/purge）で今回だけ変更する ttlHours / quotaGb（不正値は 400）
+export function resolvePurgeOverrides(input = {}) {
+  const overrides = {};
+  for (const key of ['ttlHours', 'quotaGb']) {
+    if (input[key] == null || input[key] === '') continue;
+    const parsed = Number(input[key]);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      const error = new Error(`${key} must be a non-negative number (got ${JSON.stringify(input[key])})`);
+      error.status = 400;
+      throw error;
+    }
+    overrides[key] = parsed;
+  }
+  return overrides;
+}
+
+// ファイルまたはディレクトリの合計バイト数（存在しなければ 0）
+function diskUsage(target) {
+  let stats;
+  try {
+    stats = fs.lstatSync(target);
+  } catch {
+    return 0;
+  }
+  if (!stats.isDirectory()) return stats.size;
+  return fs.readdirSync(target).reduce((sum, name) => sum + diskUsage(path.join(target, name)), 0);
+}
+
+function listEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => !name.startsWith('.'));
+}
+
+// activeSessionIds: 待機中・実行中のジョブのセッションID（Set）を返す関数（jobs.js）
+export function createRetentionJanitor({ sessionStore, outputRoot, uploadsDir, options = resolveRetentionOptions(), activeSessionIds = () => new Set() }) {
+  let status = null;
+
+  // 状態に載せる設定（手動削除の overrides ではなく、定期実行の設定）
+  const configured = () => ({
+    ttlHours: options.ttlHours,
+    quotaBytes: options.quotaGb > 0 ? Math.round(options.quotaGb * GB) : null,
+    intervalMinutes: options.intervalMinutes
+  });
+
+  // 削除の候補（セッションと、セッションに属さないファイル）を古い順に並べる
+  const collectEntries = () => {
+    const active = activeSessionIds();
+    const baselineId = sessionStore.getBaselineId();
+    const entries = [];
+    const ownedOutputs = new Set();
+    const ownedUploads = new Set();
+
+    for (const summary of sessionStore.list()) {
+      const { sessionFile, outputDir, uploads } = sessionStore.storedPaths(summary.id);
+      ownedOutputs.add(path.basename(outputDir));
+      uploads.forEach(upload => ownedUploads.add(path.basename(upload)));
+      entries.push({
+        kind: 'session',
+        id: summary.id,
+        createdAt: Date.parse(summary.createdAt) || 0,
+        bytes: diskUsage(sessionFile) + diskUsage(outputDir) + uploads.reduce((sum, upload) => sum + diskUsage(upload), 0),
+        protected: summary.id === baselineId || active.has(summary.id)
+      });
+    }
+
+    const orphan = (target, isProtected) => {
+      const { mtimeMs } = fs.statSync(target);
+      entries.push({
+        kind: 'orphan',
+        path: target,
+        createdAt: mtimeMs,
+        bytes: diskUsage(target),
+        protected: isProtected || Date.now() - mtimeMs < ORPHAN_GRACE_MS
+      });
+    };
+    for (const name of listEntries(outputRoot)) {
+      if (!ownedOutputs.has(name)) orphan(path.join(outputRoot, name), active.has(name));
+    }
+    // アップロードはどのジョブのものか判別できないため、ジョブの実行中は残す
+    for (const name of listEntries(uploadsDir)) {
+      if (!ownedUploads.has(name)) orphan(path.join(uploadsDir, name), active.size > 0);
+    }
+
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  const removeEntry = (entry) => {
+    if (entry.kind === 'session') {
+      sessionStore.remove(entry.id);
+    } else {
+      fs.rmSync(entry.path, { recursive: true, force: true });
+    }
+  };
+
+  // 1回分の削除。overrides は手動削除で今回だけ変更する ttlHours / quotaGb
+  function run(overrides = {}) {
+    const { ttlHours, quotaGb } = { ...options, ...overrides };
+    const entries = collectEntries();
+    const removed = [];
+    let bytesUsed = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+    const evict = (entry, reason) => {
+      try {
+        removeEntry(entry);
+      } catch (error) {
+        console.warn(`[retention] ⚠️ Failed to remove ${entry.id ?? entry.path}: ${error.message}`);
+        return;
+      }
+      entry.removed = true;
+      bytesUsed -= entry.bytes;
+      removed.push({ kind: entry.kind, ...(entry.id ? { id: entry.id } : { path: path.basename(entry.path) }), bytes: entry.bytes, reason });
+    };
+
+    if (ttlHours > 0) {
+      const cutoff = Date.now() - ttlHours * HOUR_MS;
+      entries.filter(entry => !entry.protected && entry.createdAt < cutoff).forEach(entry => evict(entry, 'ttl'));
+    }
+    if (quotaGb > 0) {
+      const quotaBytes = quotaGb * GB;
+      for (const entry of entries) {
+        if (bytesUsed <= quotaBytes) break;
+        if (!entry.protected && !entry.removed) evict(entry, 'quota');
+      }
+    }
+
+    const sessionsRemoved = removed.filter(entry => entry.kind === 'session').length;
+    status = {
+      ...configured(),
+      checkedAt: new Date().toISOString(),
+      bytesUsed,
+      sessionsKept: entries.filter(entry => entry.kind === 'session').length - sessionsRemoved,
+      lastRun: {
+        removedSessions: sessionsRemoved,
+        removedOrphans: removed.length - sessionsRemoved,
+        freedBytes: removed.reduce((sum, entry) => sum + entry.bytes, 0)
+      }
+    };
+    if (removed.length > 0) {
+      console.log(`[retention] Removed ${sessionsRemoved} session(s) and ${removed.length - sessionsRemoved} orphaned file(s), freed ${(status.lastRun.freedBytes / 1024 / 1024).toFixed(1)} MB`);
+    }
+    return { ...status, applied: { ttlHours, quotaGb }, removed };
+  }
+
+  // 定期実行を開始する（起動時に1回実行）
+  // 削除中は同期 I/O で計測が乱れるため、ジョブの実行中は次の回に回す
+  function start() {
+    const tick = () => {
+      if (activeSessionIds().size > 0) return;
+      try {
+        run();
+      } catch (error) {
+        console.error('[retention] Cleanup failed:', error.message);
+      }
+    };
+    tick();
+    if (options.intervalMinutes > 0) {
+      setInterval(tick, options.intervalMinutes * 60 * 1000).unref();
+    }
+  }
+
+  // 最後に実行した時点の状態（/api/health 用）。設定は実行前でも返す
+  function getStatus() {
+    return status ?? {
+      ...configured(),
+      checkedAt: null,
+      bytesUsed: null,
+      sessionsKept: null,
+      lastRun: null
+    };
+  }
+
+  return { run, start, getStatus };
+}
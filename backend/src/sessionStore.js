@@ -0,0 +1,129 @@
+import path from 'path';
+import fs from 'fs';
+
+// ベンチマーク結果のファイルベース保存（1セッション = 1 JSONファイル）
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function countResults(categories) {
+  return (categories || []).reduce((sum, c) => sum + (c.results?.length || 0), 0);
+}
+
+// 一覧表示用の要約（カテゴリ結果本体は含めない）
+// コーパスセッション（kind: 'corpus'）は画像ごとの結果を合計する
+function summarizeSession(session, baselineId) {
+  const images = session.images || [];
+  return {
+    id: session.id,
+    baseline: session.id === baselineId,
+    kind: session.kind || 'single',
+    createdAt: session.createdAt,
+    completedAt: session.completedAt,
+    upload: session.upload,
+    original: session.original,
+    imageCount: session.kind === 'corpus' ? images.length : 1,
+    versions: session.versions,
+    operationCount: session.kind === 'corpus'
+      ? images.reduce((sum, image) => sum + countResults(image.categories), 0)
+      : countResults(session.categories)
+  };
+}
+
+export function createSessionStore({ sessionsDir, outputRoot, uploadsDir }) {
+  fs.mkdirSync(sessionsDir, { recursive: true });
+
+  const sessionPath = (id) => path.join(sessionsDir, `${id}.json`);
+  // ベースライン（比較の基準にするセッション）のIDを保存するファイル
+  const baselinePath = path.join(sessionsDir, 'baseline.json');
+
+  function save(session) {
+    if (!isValidSessionId(session.id)) {
+      throw new Error(`Invalid session id: ${session.id}`);
+    }
+    // 書き込み途中のファイルを読まれないよう、一時ファイル経由で置き換える
+    const target = sessionPath(session.id);
+    const tempPath = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(session, null, 2));
+    fs.renameSync(tempPath, target);
+    return session;
+  }
+
+  function get(id) {
+    if (!isValidSessionId(id)) return null;
+    const file = sessionPath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  // 新しい順に要約を返す（壊れたファイルはスキップ）
+  function list() {
+    const baselineId = getBaselineId();
+    const sessions = [];
+    for (const name of fs.readdirSync(sessionsDir)) {
+      if (!name.endsWith('.json') || !isValidSessionId(path.basename(name, '.json'))) continue;
+      try {
+        sessions.push(summarizeSession(JSON.parse(fs.readFileSync(path.join(sessionsDir, name), 'utf-8')), baselineId));
+      } catch (error) {
+        console.warn(`[sessionStore] ⚠️ Skipping unreadable session file ${name}: ${error.message}`);
+      }
+    }
+    return sessions.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  // セッションが使っているファイル（セッションJSON・出力ディレクトリ・アップロードファイル）
+  // CLI の入力のように filename を持たないアップロードは含めない
+  function storedPaths(id, session = get(id)) {
+    const uploads = session.uploads || (session.upload ? [session.upload] : []);
+    return {
+      sessionFile: sessionPath(id),
+      outputDir: path.join(outputRoot, id),
+      uploads: uploads
+        .filter(({ filename }) => filename && path.basename(filename) === filename)
+        .map(({ filename }) => path.join(uploadsDir, filename))
+    };
+  }
+
+  // セッションJSON・出力ディレクトリ・アップロードファイルをまとめて削除する
+  function remove(id) {
+    const session = get(id);
+    if (!session) return false;
+
+    const { sessionFile, outputDir, uploads } = storedPaths(id, session);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    for (const upload of uploads) {
+      fs.rmSync(upload, { force: true });
+    }
+
+    fs.rmSync(sessionFile, { force: true });
+    if (getBaselineId() === id) {
+      clearBaseline();
+    }
+    return true;
+  }
+
+  function getBaselineId() {
+    try {
+      const { id } = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+      return isValidSessionId(id) && fs.existsSync(sessionPath(id)) ? id : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // 既存のセッションをベースラインにする（以前のベースラインは置き換える）
+  function setBaseline(id) {
+    if (!get(id)) return false;
+    fs.writeFileSync(baselinePath, JSON.stringify({ id, markedAt: new Date().toISOString() }, null, 2));
+    return true;
+  }
+
+  function clearBaseline() {
+    fs.rmSync(baselinePath, { force: true });
+  }
+
+  return { save, get, list, storedPaths, remove, getBaselineId, setBaseline, clearBaseline };
+}
@@ -0,0 +1,321 @@
+import { FIT_MODES, defaultFit } from './resize.js';
+
+// ベンチマーク条件（スペック）の定義・検証・展開
+
+// スペックの検証エラー（HTTP 400 として返す）
+export class SpecValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpecValidationError';
+    this.status = 400;
+  }
+}
+
+// 対応フォーマット（lazy-image / sharp 共通で扱えるもの）
+export const FORMATS = {
+  webp: {
+    label: 'WebP',
+    ext: '.webp',
+    applySharp: (pipeline, quality) => pipeline.webp({ quality })
+  },
+  avif: {
+    label: 'AVIF',
+    ext: '.avif',
+    applySharp: (pipeline, quality) => pipeline.avif({ quality })
+  },
+  jpeg: {
+    label: 'JPEG',
+    ext: '.jpg',
+    applySharp: (pipeline, quality) => pipeline.jpeg({ quality })
+  }
+};
+
+export const CATEGORIES = ['zeroCopy', 'resize', 'advanced', 'throughput', 'equalQuality', 'rdSweep', 'metadata', 'orientation', 'ioModes'];
+
+// エンジンが読めない入力（lazy-image の AVIF など）を渡す方法（intermediate.js 参照）
+export const INTERMEDIATE_POLICIES = ['png', 'raw', 'jpeg', 'native'];
+
+// 同一画質比較で目標にできる指標
+export const EQUAL_QUALITY_METRICS = {
+  ssim: { label: 'SSIM' },
+  msssim: { label: 'MS-SSIM' }
+};
+
+// throughput / equalQuality / rdSweep / ioModes は負荷が高いため既定では実行しない（metadata / orientation は正しさの確認のため同じく任意）
+export const DEFAULT_SPEC = {
+  categories: ['zeroCopy', 'resize', 'advanced'],
+  formats: ['webp', 'avif', 'jpeg'],
+  quality: { webp: [80], avif: [60], jpeg: [80] },
+  resize: [{ width: 800, height: 600, fit: 'inside' }],
+  throughput: {
+    format: 'webp',
+    quality: 80,
+    resize: null,
+    concurrency: [1, 2, 4, 8, 16],
+    operationsPerWorker: 2
+  },
+  equalQuality: {
+    metric: 'ssim',
+    target: [0.95]
+  },
+  rdSweep: {
+    quality: { from: 30, to: 95, step: 5 },
+    iterations: 1
+  },
+  intermediate: 'png'
+};
+
+const MAX_DIMENSION = 16384;
+const MAX_CONCURRENCY = 64;
+const MAX_OPERATIONS_PER_WORKER = 20;
+const MAX_SWEEP_POINTS = 30;
+const MAX_SWEEP_ITERATIONS = 10;
+// 組み合わせ爆発を防ぐための上限（zeroCopy + resize + throughput + equalQuality + rdSweep + metadata + orientation + ioModes の操作数）
+const MAX_OPERATIONS = 60;
+
+function fail(message) {
+  throw new SpecValidationError(`Invalid benchmark spec: ${message}`);
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function parseInteger(value, name, min, max) {
+  const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    fail(`${name} must be an integer between ${min} and ${max} (got ${JSON.stringify(value)})`);
+  }
+  return parsed;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function resolveCategories(value) {
+  const categories = unique(toArray(value));
+  if (categories.length === 0) fail('categories must not be empty');
+  for (const category of categories) {
+    if (!CATEGORIES.includes(category)) {
+      fail(`unknown category "${category}" (expected one of ${CATEGORIES.join(', ')})`);
+    }
+  }
+  return CATEGORIES.filter(c => categories.includes(c));
+}
+
+function resolveFormats(value) {
+  const formats = unique(toArray(value).map(f => String(f).toLowerCase().replace(/^jpg$/, 'jpeg')));
+  if (formats.length === 0) fail('formats must not be empty');
+  for (const format of formats) {
+    if (!Object.hasOwn(FORMATS, format)) {
+      fail(`unknown format "${format}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+  return formats;
+}
+
+// quality は数値・配列・フォーマット別オブジェクトのいずれでも指定可能
+function resolveQuality(value, formats) {
+  const quality = {};
+  for (const format of formats) {
+    let levels;
+    if (value == null) {
+      levels = DEFAULT_SPEC.quality[format];
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      levels = value[format] ?? DEFAULT_SPEC.quality[format];
+    } else {
+      levels = value;
+    }
+    levels = unique(toArray(levels).map(q => parseInteger(q, `quality.${format}`, 1, 100)));
+    if (levels.length === 0) fail(`quality.${format} must not be empty`);
+    quality[format] = levels;
+  }
+  return quality;
+}
+
+// resize は { width, height, fit } の配列。fit は resize.js の FIT_MODES
+// fit 省略時は height があれば inside、なければ width（幅のみ指定・アスペクト比維持）
+function resolveResize(value) {
+  const targets = toArray(value).map((target, i) => {
+    if (target == null || typeof target !== 'object') {
+      fail(`resize[${i}] must be an object like { "width": 800, "height": 600, "fit": "inside" }`);
+    }
+    const width = parseInteger(target.width, `resize[${i}].width`, 1, MAX_DIMENSION);
+    const height = target.height == null
+      ? null
+      : parseInteger(target.height, `resize[${i}].height`, 1, MAX_DIMENSION);
+    const fit = target.fit ?? defaultFit(height);
+    if (!FIT_MODES.includes(fit)) {
+      fail(`resize[${i}].fit must be one of ${FIT_MODES.join(', ')}`);
+    }
+    if (fit === 'width' && height != null) {
+      fail(`resize[${i}].height must be omitted with fit "width"`);
+    }
+    if (fit !== 'width' && height == null) {
+      fail(`resize[${i}].height is required with fit "${fit}"`);
+    }
+    return { width, height, fit };
+  });
+  if (targets.length === 0) fail('resize must not be empty');
+
+  const seen = new Set();
+  return targets.filter((target) => {
+    const key = describeResizeTarget(target);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// throughput は1種類の変換を並列度ごとに実行する設定
+function resolveThroughput(value) {
+  const defaults = DEFAULT_SPEC.throughput;
+  if (value == null) value = {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail('throughput must be an object');
+  }
+
+  const [format] = resolveFormats(value.format ?? defaults.format);
+  const quality = parseInteger(value.quality ?? defaults.quality, 'throughput.quality', 1, 100);
+  const resize = value.resize == null ? null : resolveResize(value.resize)[0];
+  const concurrency = unique(toArray(value.concurrency ?? defaults.concurrency)
+    .map(k => parseInteger(k, 'throughput.concurrency', 1, MAX_CONCURRENCY)))
+    .sort((a, b) => a - b);
+  if (concurrency.length === 0) fail('throughput.concurrency must not be empty');
+  const operationsPerWorker = parseInteger(
+    value.operationsPerWorker ?? defaults.operationsPerWorker,
+    'throughput.operationsPerWorker',
+    1,
+    MAX_OPERATIONS_PER_WORKER
+  );
+
+  return { format, quality, resize, concurrency, operationsPerWorker };
+}
+
+// equalQuality はフォーマットごとに、各エンジンの quality を目標の画質指標に達するまで探索する設定
+function resolveEqualQuality(value) {
+  const defaults = DEFAULT_SPEC.equalQuality;
+  if (value == null) value = {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail('equalQuality must be an object');
+  }
+
+  const metric = value.metric ?? defaults.metric;
+  if (typeof metric !== 'string' || !Object.hasOwn(EQUAL_QUALITY_METRICS, metric)) {
+    fail(`unknown equalQuality.metric ${JSON.stringify(metric)} (expected one of ${Object.keys(EQUAL_QUALITY_METRICS).join(', ')})`);
+  }
+  const target = unique(toArray(value.target ?? defaults.target).map((t) => {
+    const parsed = typeof t === 'string' ? Number(t.trim()) : t;
+    if (typeof parsed !== 'number' || !(parsed > 0 && parsed < 1)) {
+      fail(`equalQuality.target must be a number between 0 and 1 (got ${JSON.stringify(t)})`);
+    }
+    return parsed;
+  })).sort((a, b) => a - b);
+  if (target.length === 0) fail('equalQuality.target must not be empty');
+
+  return { metric, target };
+}
+
+// rdSweep はフォーマットごとに quality を振って、サイズ・画質・時間の曲線を取る設定
+// quality は { from, to, step } または quality 値の配列
+function resolveRdSweep(value) {
+  const defaults = DEFAULT_SPEC.rdSweep;
+  if (value == null) value = {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail('rdSweep must be an object');
+  }
+
+  const range = value.quality ?? defaults.quality;
+  let quality;
+  if (range != null && typeof range === 'object' && !Array.isArray(range)) {
+    const from = parseInteger(range.from ?? defaults.quality.from, 'rdSweep.quality.from', 1, 100);
+    const to = parseInteger(range.to ?? defaults.quality.to, 'rdSweep.quality.to', from, 100);
+    const step = parseInteger(range.step ?? defaults.quality.step, 'rdSweep.quality.step', 1, 100);
+    quality = [];
+    for (let q = from; q <= to; q += step) quality.push(q);
+    if (quality[quality.length - 1] !== to) quality.push(to);
+  } else {
+    quality = unique(toArray(range).map(q => parseInteger(q, 'rdSweep.quality', 1, 100))).sort((a, b) => a - b);
+  }
+  if (quality.length < 2) fail('rdSweep.quality must contain at least 2 points');
+  if (quality.length > MAX_SWEEP_POINTS) {
+    fail(`rdSweep.quality has ${quality.length} points (maximum is ${MAX_SWEEP_POINTS})`);
+  }
+
+  const iterations = parseInteger(value.iterations ?? defaults.iterations, 'rdSweep.iterations', 1, MAX_SWEEP_ITERATIONS);
+
+  return { quality, iterations };
+}
+
+function resolveIntermediate(value) {
+  if (!INTERMEDIATE_POLICIES.includes(value)) {
+    fail(`unknown intermediate "${value}" (expected one of ${INTERMEDIATE_POLICIES.join(', ')})`);
+  }
+  return value;
+}
+
+// 入力（JSON文字列またはオブジェクト）を検証し、既定値を補完したスペックを返す
+export function resolveBenchmarkSpec(input) {
+  let raw = input;
+  if (raw == null || raw === '') {
+    raw = {};
+  } else if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      fail(`spec is not valid JSON (${error.message})`);
+    }
+  }
+  if (raw == null || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail('spec must be a JSON object');
+  }
+
+  const categories = resolveCategories(raw.categories ?? DEFAULT_SPEC.categories);
+  const formats = resolveFormats(raw.formats ?? DEFAULT_SPEC.formats);
+  const quality = resolveQuality(raw.quality, formats);
+  const resize = resolveResize(raw.resize ?? DEFAULT_SPEC.resize);
+  const throughput = resolveThroughput(raw.throughput);
+  const equalQuality = resolveEqualQuality(raw.equalQuality);
+  const rdSweep = resolveRdSweep(raw.rdSweep);
+  const intermediate = resolveIntermediate(raw.intermediate ?? DEFAULT_SPEC.intermediate);
+
+  const spec = { categories, formats, quality, resize, throughput, equalQuality, rdSweep, intermediate };
+
+  const operationCount = countOperations(spec);
+  if (operationCount > MAX_OPERATIONS) {
+    fail(`spec expands to ${operationCount} operations (maximum is ${MAX_OPERATIONS})`);
+  }
+
+  return spec;
+}
+
+function countOperations(spec) {
+  const perTarget = spec.formats.reduce((sum, format) => sum + spec.quality[format].length, 0);
+  let count = 0;
+  if (spec.categories.includes('zeroCopy')) count += perTarget;
+  if (spec.categories.includes('resize')) count += perTarget * spec.resize.length;
+  if (spec.categories.includes('throughput')) count += spec.throughput.concurrency.length;
+  if (spec.categories.includes('equalQuality')) count += spec.formats.length * spec.equalQuality.target.length;
+  if (spec.categories.includes('rdSweep')) count += spec.formats.length;
+  // メタデータ監査は 入力2種（元画像・タグ付き）× 既定 / keepMetadata
+  if (spec.categories.includes('metadata')) count += spec.formats.length * 4;
+  // 向きのテストは 最初のフォーマットで 向き8種 × 既定 / autoOrient（アップロード画像自体の向きの分は含めない）
+  if (spec.categories.includes('orientation')) count += 16;
+  // I/O モードは フォーマットごとに 入力2種 × 出力3種
+  if (spec.categories.includes('ioModes')) count += spec.formats.length * 6;
+  return count;
+}
+
+// フォーマット×品質の組み合わせに展開する
+export function expandEncodings(spec) {
+  return spec.formats.flatMap(format =>
+    spec.quality[format].map(quality => ({ format, quality, ...FORMATS[format] }))
+  );
+}
+
+// 既定のフィット（800x600 は inside、800w は width）は従来どおりの表記にする（過去のセッションと操作名を揃えるため）
+export function describeResizeTarget({ width, height, fit = defaultFit(height) }) {
+  const size = height == null ? `${width}w` : `${width}x${height}`;
+  return fit === defaultFit(height) ? size : `${size} ${fit}`;
+}
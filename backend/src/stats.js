@@ -0,0 +1,42 @@
+// 計測結果の統計処理ヘルパー
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// 線形補間によるパーセンタイル（sortedは昇順ソート済みであること）
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// サンプル配列から min/median/mean/p95/stddev を計算する
+// stddevは標本標準偏差（n-1）。サンプルが1つの場合は0
+export function summarize(samples) {
+  if (!samples || samples.length === 0) {
+    return null;
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1
+    ? sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)
+    : 0;
+
+  return {
+    count: n,
+    min: round(sorted[0]),
+    max: round(sorted[n - 1]),
+    median: round(percentile(sorted, 50)),
+    mean: round(mean),
+    p95: round(percentile(sorted, 95)),
+    stddev: round(Math.sqrt(variance))
+  };
+}
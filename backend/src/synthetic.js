@@ -0,0 +1,233 @@
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { IMAGE_LIMITS, checkImageSize } from './imageValidation.js';
+
+// 合成テスト画像の生成（sharpベース）
+// 同じ preset / サイズ / seed からは常に同じ画像が生成されるため、実行結果を再現できる
+
+// 検証エラー（HTTP 400 として返す）
+export class SyntheticImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyntheticImageError';
+    this.status = 400;
+  }
+}
+
+// アップロードと同じ上限（IMAGE_LIMITS）。アップロードでは拒否されるサイズの画像を生成しない
+export const MAX_SYNTHETIC_PIXELS = IMAGE_LIMITS.maxPixels;
+export const MAX_SYNTHETIC_DIMENSION = IMAGE_LIMITS.maxDimension;
+
+const OUTPUT_FORMATS = {
+  png: { ext: '.png', mimetype: 'image/png', alpha: true, apply: (pipeline) => pipeline.png({ compressionLevel: 6 }) },
+  jpeg: { ext: '.jpg', mimetype: 'image/jpeg', alpha: false, apply: (pipeline) => pipeline.jpeg({ quality: 95 }) },
+  webp: { ext: '.webp', mimetype: 'image/webp', alpha: true, apply: (pipeline) => pipeline.webp({ lossless: true }) }
+};
+
+// 再現性のための乱数生成器（mulberry32）
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function rawImage(data, width, height, channels) {
+  return sharp(data, { raw: { width, height, channels }, limitInputPixels: MAX_SYNTHETIC_PIXELS });
+}
+
+// なめらかなグラデーション（圧縮しやすく、バンディングが出やすい）
+function gradient({ width, height }) {
+  const data = Buffer.alloc(width * height * 3);
+  const xScale = 255 / Math.max(1, width - 1);
+  const yScale = 255 / Math.max(1, height - 1);
+  const dScale = 255 / Math.max(1, width + height - 2);
+  let offset = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[offset++] = x * xScale;
+      data[offset++] = y * yScale;
+      data[offset++] = 255 - (x + y) * dScale;
+    }
+  }
+  return rawImage(data, width, height, 3);
+}
+
+// 一様乱数ノイズ（圧縮がほぼ効かない最悪ケース）
+function noise({ width, height, seed }) {
+  const random = createRandom(seed);
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = random() * 256;
+  }
+  return rawImage(data, width, height, 3);
+}
+
+// 白背景に黒の線画と擬似テキスト（エッジのリンギングやクロマサブサンプリングの影響が出やすい）
+// フォントの有無で結果が変わらないよう、文字は乱数で作った5x7ドットのグリフで描く
+function lineArt({ width, height, seed }) {
+  const random = createRandom(seed);
+  const data = Buffer.alloc(width * height, 255);
+  const fillRect = (left, top, w, h) => {
+    const x0 = Math.max(0, left);
+    const x1 = Math.min(width, left + w);
+    for (let y = Math.max(0, top); y < Math.min(height, top + h); y++) {
+      data.fill(0, y * width + x0, y * width + Math.max(x0, x1));
+    }
+  };
+
+  // 格子
+  const cell = Math.max(16, Math.round(Math.min(width, height) / 16));
+  for (let x = 0; x < width; x += cell) fillRect(x, 0, 1, height);
+  for (let y = 0; y < height; y += cell) fillRect(0, y, width, 1);
+
+  // 対角線
+  for (let x = 0; x < width; x++) {
+    const y = Math.round((x * (height - 1)) / Math.max(1, width - 1));
+    fillRect(x, y - 1, 1, 3);
+    fillRect(x, height - 1 - y - 1, 1, 3);
+  }
+
+  // 擬似テキスト（上半分に行単位で並べる）
+  const dot = Math.max(1, Math.round(Math.min(width, height) / 400));
+  const glyphWidth = 6 * dot;
+  const lineHeight = 10 * dot;
+  for (let top = cell + dot; top + lineHeight <= height / 2; top += lineHeight) {
+    for (let left = cell + dot; left + glyphWidth <= width - cell; left += glyphWidth) {
+      if (random() < 0.15) continue; // 単語間の空白
+      for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < 5; col++) {
+          if (random() < 0.45) fillRect(left + col * dot, top + row * dot, dot, dot);
+        }
+      }
+    }
+  }
+
+  return rawImage(data, width, height, 1).toColourspace('srgb');
+}
+
+// 写真風のテクスチャ（低周波の色むらに、細かいディテールと粒状感を重ねる）
+async function texture({ width, height, seed }) {
+  const random = createRandom(seed);
+  // amplitude は 128 を中心とした振れ幅（soft-light 合成での効きの強さ）
+  const octave = async (divisor, channels, amplitude) => {
+    const w = Math.max(2, Math.ceil(width / divisor));
+    const h = Math.max(2, Math.ceil(height / divisor));
+    const data = Buffer.alloc(w * h * channels);
+    for (let i = 0; i < data.length; i++) data[i] = 128 + (random() - 0.5) * 2 * amplitude;
+    // 1チャンネルのレイヤー（輝度のみのディテール）も合成前にRGBへ展開する
+    const input = await rawImage(data, w, h, channels)
+      .resize(width, height, { fit: 'fill', kernel: 'cubic' })
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer();
+    return { input, raw: { width, height, channels: 3 }, blend: 'soft-light' };
+  };
+
+  const base = await octave(256, 3, 127);
+  const layers = [
+    await octave(64, 3, 64),
+    await octave(16, 1, 48),
+    await octave(4, 1, 32),
+    // 細かい粒状感（センサーノイズ相当）
+    await octave(1, 1, 12)
+  ];
+
+  const composed = await sharp(base.input, { raw: base.raw, limitInputPixels: MAX_SYNTHETIC_PIXELS })
+    .composite(layers)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return rawImage(composed.data, composed.info.width, composed.info.height, composed.info.channels);
+}
+
+// 透過付き画像（放射状のアルファ + 完全透明のセル）
+function alpha({ width, height }) {
+  const data = Buffer.alloc(width * height * 4);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const radius = Math.max(1, Math.hypot(cx, cy));
+  const cell = Math.max(8, Math.round(Math.min(width, height) / 12));
+  let offset = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const hole = (Math.floor(x / cell) + Math.floor(y / cell)) % 5 === 0;
+      data[offset++] = (x * 255) / Math.max(1, width - 1);
+      data[offset++] = 128;
+      data[offset++] = (y * 255) / Math.max(1, height - 1);
+      data[offset++] = hole ? 0 : 255 * (1 - Math.hypot(x - cx, y - cy) / radius);
+    }
+  }
+  return rawImage(data, width, height, 4);
+}
+
+export const SYNTHETIC_PRESETS = {
+  gradient: { description: 'Smooth RGB gradients (compresses well, prone to banding)', alpha: false, generate: gradient },
+  noise: { description: 'Uniform random noise (worst case for compression)', alpha: false, generate: noise },
+  lineArt: { description: 'Sharp-edged line art and pseudo-text on white', alpha: false, generate: lineArt },
+  texture: { description: 'Photographic-like multi-scale texture', alpha: false, generate: texture },
+  alpha: { description: 'Gradient with radial alpha and fully transparent cells', alpha: true, generate: alpha }
+};
+
+// 一覧表示用（generate関数は含めない）
+export function listSyntheticPresets() {
+  return Object.entries(SYNTHETIC_PRESETS).map(([name, { description, alpha }]) => ({ name, description, alpha }));
+}
+
+function parseInteger(value, name, min, max = Infinity) {
+  const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+    throw new SyntheticImageError(`${name} must be an integer ${range} (got ${JSON.stringify(value)})`);
+  }
+  return parsed;
+}
+
+// リクエストの値を検証し、既定値を補完した生成条件を返す
+export function resolveSyntheticOptions(input = {}) {
+  // preset / format は利用者の入力なので、自身のキーだけを受け付ける（toString や __proto__ を通さない）
+  const preset = input.preset ?? 'gradient';
+  if (typeof preset !== 'string' || !Object.hasOwn(SYNTHETIC_PRESETS, preset)) {
+    throw new SyntheticImageError(`unknown preset ${JSON.stringify(preset)} (expected one of ${Object.keys(SYNTHETIC_PRESETS).join(', ')})`);
+  }
+
+  // 上限を超えるサイズはアップロードと同じ 413 と code で拒否する
+  const width = parseInteger(input.width ?? 1920, 'width', 1);
+  const height = parseInteger(input.height ?? 1080, 'height', 1);
+  checkImageSize(width, height, { name: 'Synthetic image' });
+
+  const seed = parseInteger(input.seed ?? 1, 'seed', 0, 0xFFFFFFFF);
+
+  const format = String(input.format ?? 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    throw new SyntheticImageError(`unknown format "${format}" (expected one of ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+  }
+  if (SYNTHETIC_PRESETS[preset].alpha && !OUTPUT_FORMATS[format].alpha) {
+    throw new SyntheticImageError(`preset "${preset}" has an alpha channel and cannot be written as ${format}`);
+  }
+
+  return { preset, width, height, seed, format };
+}
+
+// 合成画像を destDir に書き出し、アップロードと同じ形の情報を返す
+export async function generateSyntheticImage(options, destDir) {
+  const { preset, width, height, seed, format } = options;
+  const output = OUTPUT_FORMATS[format];
+  const filename = `${uuidv4()}${output.ext}`;
+  const filePath = path.join(destDir, filename);
+
+  const pipeline = await SYNTHETIC_PRESETS[preset].generate({ width, height, seed });
+  const info = await output.apply(pipeline).toFile(filePath);
+
+  return {
+    originalName: `synthetic-${preset}-${width}x${height}-s${seed}${output.ext}`,
+    filename,
+    path: filePath,
+    mimetype: output.mimetype,
+    size: info.size
+  };
+}
@@ -0,0 +1,109 @@
+import path from 'path';
+import fs from 'fs';
+
+// 操作の定義（タスク記述子）から、エンジンアダプター（engines.js）を使う処理関数を組み立てる
+// 記述子はJSONで表現できるため、分離実行時は子プロセスにそのまま渡せる
+//
+//   { type: 'encode', format, quality, resize?: { width, height, fit }, keepMetadata?, autoOrient?, io?: { input, output } }
+//   { type: 'png', compressionLevel }
+//   { type: 'rotate', angle }
+//   { type: 'crop', ratio }
+//   { type: 'blur', sigma }
+//   { type: 'grayscale' }
+
+const TRANSFORM_TYPES = ['rotate', 'crop', 'blur', 'grayscale'];
+
+// 入出力の方法（encode の io。既定は path → file）
+//   input:  path（ファイルパスから開く）/ buffer（メモリ上のバッファから開く。HTTP で受け取った画像を想定）
+//   output: file（ファイルに書き出す）/ buffer（バッファを返す）/ stream（ストリームを読み切ってバッファにする。レスポンスへの pipe を想定）
+export const IO_INPUTS = ['path', 'buffer'];
+export const IO_OUTPUTS = ['file', 'buffer', 'stream'];
+
+// setup 用の関数（計測の外で毎回呼ばれ、adapter.open() などの戻り値を返す）
+// buffer 入力はファイルを一度だけ読み込み、毎回そのバッファから開く。アダプターが openBuffer() を持たなければ null
+// raw は中間形式としてメモリ上で渡す画素（intermediate.js）。その場合は入力の方法によらず fromRaw() で開く
+export function createOpenFn(adapter, task, inputPath, raw = null) {
+  if (raw) return adapter.fromRaw ? () => adapter.fromRaw(raw) : null;
+  if (task.io?.input !== 'buffer') return () => adapter.open(inputPath);
+  if (!adapter.openBuffer) return null;
+  const buffer = fs.readFileSync(inputPath);
+  return () => adapter.openBuffer(buffer);
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// buffer / stream 出力は処理関数がバッファを返すだけなので、計測後にこれでファイルへ書き出す（サイズ・画質の評価用）
+export function saveTaskOutput(output, outputPath) {
+  if (Buffer.isBuffer(output)) fs.writeFileSync(outputPath, output);
+}
+
+// (image, outputPath) => Promise。image は adapter.open() の戻り値
+// アダプターが対応していない操作は null を返す。実際に動くかは capabilities.js の起動時プローブで確認する
+export function createTaskFn(adapter, task) {
+  if (task.type === 'encode') {
+    // keepMetadata はメタデータ（EXIF / ICC / XMP）を出力に残す指定。アダプターが keepMetadata() を持たなければ非対応
+    // autoOrient は EXIF の向きを画素に適用する指定（リサイズより前）。アダプターが autoOrient() を持たなければ非対応
+    // io.output が buffer / stream の場合は toBuffer() / toStream() がなければ非対応
+    if (task.keepMetadata && !adapter.keepMetadata) return null;
+    if (task.autoOrient && !adapter.autoOrient) return null;
+    const output = task.io?.output ?? 'file';
+    if ((output === 'buffer' && !adapter.toBuffer) || (output === 'stream' && !adapter.toStream)) return null;
+    return async (image, outputPath) => {
+      const oriented = task.autoOrient ? await adapter.autoOrient(image) : image;
+      const source = task.keepMetadata ? await adapter.keepMetadata(oriented) : oriented;
+      const resized = task.resize ? await adapter.resize(source, task.resize) : source;
+      const encoded = await adapter.encode(resized, { format: task.format, quality: task.quality });
+      if (output === 'buffer') return adapter.toBuffer(encoded);
+      if (output === 'stream') return streamToBuffer(await adapter.toStream(encoded));
+      await adapter.write(encoded, outputPath);
+    };
+  }
+
+  if (task.type === 'png') {
+    return async (image, outputPath) => {
+      await adapter.write(await adapter.encode(image, { format: 'png', compressionLevel: task.compressionLevel }), outputPath);
+    };
+  }
+
+  const transform = TRANSFORM_TYPES.includes(task.type) ? adapter.operations?.[task.type] : null;
+  if (!transform) return null;
+  // 変換系の操作は JPEG q80 で書き出す
+  return async (image, outputPath) => {
+    const transformed = await transform(image, task);
+    await adapter.write(await adapter.encode(transformed, { format: 'jpeg', quality: 80 }), outputPath);
+  };
+}
+
+// 処理段階ごとの計測用の関数（encode のみ。phases.js 参照）。アダプターにない段階は null
+//   decode(image)          → raw（読み込み + デコード）
+//   decodeTransform(image) → raw（読み込み + デコード + 向きの適用・リサイズ。変換がないタスクは null）
+//   encode(raw)            → Buffer（raw からのエンコード）
+//   pipeline(image)        → Buffer（読み込みからエンコードまでをメモリ上で）
+export function createPhaseFns(adapter, task) {
+  if (task.type !== 'encode') return null;
+  const options = { format: task.format, quality: task.quality };
+  const hasTransform = Boolean(task.resize || task.autoOrient);
+  const transform = async (image) => {
+    const oriented = task.autoOrient ? await adapter.autoOrient(image) : image;
+    return task.resize ? adapter.resize(oriented, task.resize) : oriented;
+  };
+  return {
+    decode: adapter.decode ? (image) => adapter.decode(image) : null,
+    decodeTransform: adapter.decode && hasTransform ? async (image) => adapter.decode(await transform(image)) : null,
+    encode: adapter.fromRaw && adapter.toBuffer
+      ? async (raw) => adapter.toBuffer(await adapter.encode(await adapter.fromRaw(raw), options))
+      : null,
+    pipeline: adapter.toBuffer ? async (image) => adapter.toBuffer(await adapter.encode(await transform(image), options)) : null
+  };
+}
+
+// 並列実行時の出力先（slot 0 は元のパス、それ以外は _w<slot> を付与）
+export function slotOutputPath(outputPath, slot = 0) {
+  if (!slot) return outputPath;
+  const ext = path.extname(outputPath);
+  return `${outputPath.slice(0, outputPath.length - ext.length)}_w${slot}${ext}`;
+}
@@ -1,5 +1,16 @@
 import { useState, useCallback, useEffect } from 'react';
 
+const SPEC_PLACEHOLDER = JSON.stringify({
+  categories: ['zeroCopy', 'resize', 'advanced'],
+  formats: ['webp', 'avif', 'jpeg'],
+  quality: { webp: [80], avif: [60], jpeg: [80] },
+  resize: [{ width: 800, height: 600, fit: 'inside' }],
+  throughput: { format: 'webp', quality: 80, resize: null, concurrency: [1, 2, 4, 8, 16], operationsPerWorker: 2 },
+  equalQuality: { metric: 'ssim', target: [0.95] },
+  rdSweep: { quality: { from: 30, to: 95, step: 5 }, iterations: 1 },
+  intermediate: 'png'
+}, null, 2);
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -33,20 +44,275 @@ function formatMemory(memoryMB) {
   }
 }
 
-function getMaxTime(results) {
+const ENGINE_LABELS = { lazyImage: 'lazy-image', sharp: 'sharp' };
+const ENGINE_COLORS = { lazyImage: 'var(--accent-rust)', sharp: 'var(--accent-sharp)' };
+const ENGINE_BADGES = { lazyImage: 'rust', sharp: 'sharp' };
+// 組み込み以外のエンジンに順に割り当てる色
+const EXTRA_ENGINE_COLORS = ['var(--accent-blue)', 'var(--accent-green)', 'var(--accent-yellow)'];
+// engines を持たない古いセッション用
+const DEFAULT_ENGINES = [{ id: 'lazyImage', label: 'lazy-image' }, { id: 'sharp', label: 'sharp' }];
+
+function getEngines(view) {
+  return view?.engines?.length ? view.engines : DEFAULT_ENGINES;
+}
+
+// 別名でインストールした lazy-image の各版（lazyImage_0_15_0 など）も lazy-image のバッジにする
+function engineBadge(id) {
+  return ENGINE_BADGES[id] || (id.startsWith('lazyImage_') ? 'rust' : 'neutral');
+}
+
+// ラベルにバージョンが含まれている場合（複数の lazy-image を比べる場合）は重ねて表示しない
+function describeEngineVersion(engine, version) {
+  return engine.label.endsWith(` ${version}`) ? engine.label : `${engine.label} ${version}`;
+}
+
+function engineColor(engines, id) {
+  if (ENGINE_COLORS[id]) return ENGINE_COLORS[id];
+  const extras = engines.filter(engine => !ENGINE_COLORS[engine.id]);
+  return EXTRA_ENGINE_COLORS[extras.findIndex(engine => engine.id === id) % EXTRA_ENGINE_COLORS.length];
+}
+
+// 値が最も良いエンジンのID（計測できたエンジンが2つ未満、または最良が同点の場合は null）
+function findWinner(engines, value, higherIsBetter = false) {
+  const ranked = engines
+    .map(engine => ({ id: engine.id, value: value(engine.id) }))
+    .filter(entry => entry.value != null)
+    .sort((a, b) => (higherIsBetter ? b.value - a.value : a.value - b.value));
+  if (ranked.length < 2 || ranked[0].value === ranked[1].value) return null;
+  return ranked[0].id;
+}
+
+// API のエラーレスポンスを表示用のメッセージにする（画像の検証エラーなどは code（IMAGE_TOO_MANY_PIXELS など）も表示する）
+function apiErrorMessage(body, status, statusText) {
+  const message = body?.error || `HTTP ${status}${statusText ? `: ${statusText}` : ''}`;
+  return body?.code ? `${message} [${body.code}, HTTP ${status}]` : message;
+}
+
+// ジョブの進捗イベント（SSE）を購読し、完了時にセッション結果を返す
+function followJob(jobId, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    source.onmessage = (e) => {
+      const event = JSON.parse(e.data);
+      if (event.type === 'complete') {
+        source.close();
+        resolve(event.result);
+      } else if (event.type === 'failed') {
+        source.close();
+        reject(new Error(event.error || 'Benchmark failed'));
+      } else {
+        onEvent(event);
+      }
+    };
+    source.onerror = () => {
+      // CONNECTING の場合はEventSourceが自動で再接続する
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to benchmark progress stream'));
+      }
+    };
+  });
+}
+
+function describeProgress(progress) {
+  if (!progress) return 'Uploading...';
+  if (progress.status === 'queued') {
+    return progress.position > 1 ? `Queued (position ${progress.position})...` : 'Queued...';
+  }
+  const image = progress.image ? `Image ${progress.image.index + 1}/${progress.image.total} (${progress.image.filename}) · ` : '';
+  if (!progress.current) return `${image}Running benchmark...`;
+  const engine = ENGINE_LABELS[progress.current.engine] || progress.current.engine;
+  const phase = progress.current.phase === 'search' ? ', searching quality'
+    : progress.current.phase === 'sweep' ? `, q${progress.current.quality}` : '';
+  return `${image}Running: ${progress.current.operation} (${engine}${phase}) — ${progress.completed || 0} operations done`;
+}
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
+function isZipFile(file) {
+  return file.type === 'application/zip' || file.type === 'application/x-zip-compressed' || /\.zip$/i.test(file.name);
+}
+
+function formatRate(rate) {
+  return rate == null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+// 計測のばらつき表示（±標準偏差、ツールチップに詳細）
+function TimeSpread({ stats }) {
+  if (!stats || stats.count == null || stats.count < 2) return null;
+  const title = `median ${stats.median}ms / mean ${stats.mean}ms / min ${stats.min}ms / p95 ${stats.p95}ms / stddev ${stats.stddev}ms (n=${stats.count}, warmup=${stats.warmup ?? 0})`;
+  return (
+    <span className="time-spread" title={title}>
+      ±{stats.stddev.toFixed(1)}ms
+      <span className="time-range"> [{Math.round(stats.min)}–{Math.round(stats.p95)}]</span>
+    </span>
+  );
+}
+
+function ThroughputValue({ throughput, wins }) {
+  if (!throughput) return null;
+  return (
+    <div className="throughput-value" title={`${throughput.operations} operations with ${throughput.concurrency} in flight, wall time ${throughput.wallTime}ms`}>
+      ⚡ {throughput.opsPerSec} ops/s
+      {wins && <span className="winner-indicator">✓ Higher Throughput</span>}
+    </div>
+  );
+}
+
+// 同一画質比較で探索した quality（ツールチップに探索の経過）
+function MatchedQuality({ equalQuality }) {
+  if (!equalQuality) return null;
+  const probes = equalQuality.probes
+    .map(probe => `q${probe.quality}: ${probe.value} (${formatBytes(probe.size)})`)
+    .join('\n');
+  return (
+    <div className="matched-quality" title={`Search probes:\n${probes}`}>
+      🎯 q{equalQuality.quality} → {equalQuality.achieved}
+      {!equalQuality.reached && <span className="error-text"> (target not reached)</span>}
+    </div>
+  );
+}
+
+// エンジンが読めない入力を渡した中間形式（変換時間と、中間形式に対する SSIM）
+function IntermediateInput({ intermediate }) {
+  if (!intermediate) return null;
+  const ssim = intermediate.metrics?.ssim;
+  return (
+    <div
+      className="intermediate-input"
+      title={`Input converted once from ${intermediate.from.toUpperCase()} to ${intermediate.format} (${formatBytes(intermediate.size)}) because this engine cannot read it`
+        + (intermediate.fallback ? `; ${intermediate.requested} was requested but ${intermediate.fallback}` : '')}
+    >
+      🔁 via {intermediate.format}{intermediate.requested && ` (${intermediate.requested} requested)`} (+{intermediate.conversionTime}ms)
+      {ssim != null && <span> / SSIM vs intermediate: {ssim.toFixed(4)}</span>}
+    </div>
+  );
+}
+
+// 比較に使うメモリ値（分離実行時はネイティブ領域を含むRSS増加量、それ以外はヒープ増加量）
+function getComparableMemory(engineResult) {
+  if (!engineResult) return null;
+  if (engineResult.memory?.isolated && engineResult.memory.rss != null) {
+    return engineResult.memory.rss;
+  }
+  return engineResult.memoryUsed;
+}
+
+function describeMemory(engineResult) {
+  const memory = engineResult.memory;
+  if (!memory) return 'Memory usage during processing';
+  return [
+    memory.isolated ? 'Measured in an isolated child process' : 'Measured in the server process (RSS includes other work)',
+    `heap: ${formatMemory(memory.heapUsed)}`,
+    `RSS increase: ${formatMemory(memory.rss)}`,
+    `peak RSS: ${formatMemory(memory.peakRss)}`,
+    `external: ${formatMemory(memory.external)}`,
+    `arrayBuffers: ${formatMemory(memory.arrayBuffers)}`
+  ].join('\n');
+}
+
+const CHANNEL_LABELS = { y: 'Y', cb: 'Cb', cr: 'Cr' };
+
+// 品質列で切り替えられる指標
+// compare(a, b) は a の方が良ければ正の値を返す
+const QUALITY_METRICS = {
+  ssim: {
+    label: 'SSIM / PSNR (grey)',
+    available: (r) => r?.ssim != null,
+    parts: (r) => [`S:${r.ssim.toFixed(4)}`, `P:${r.psnr}dB`],
+    // SSIM優先、差が0.001未満の場合はPSNRで比較
+    compare: (a, b) => {
+      if (Math.abs((a.ssim || 0) - (b.ssim || 0)) > 0.001) return (a.ssim || 0) - (b.ssim || 0);
+      return a.psnr > 0 && b.psnr > 0 ? a.psnr - b.psnr : 0;
+    }
+  },
+  ycbcrPsnr: {
+    label: 'PSNR Y / Cb / Cr',
+    available: (r) => r?.channels != null,
+    parts: (r) => Object.entries(CHANNEL_LABELS).map(([key, label]) => `${label}:${r.channels[key].psnr}`),
+    compare: (a, b) => meanChannel(a, 'psnr') - meanChannel(b, 'psnr')
+  },
+  ycbcrSsim: {
+    label: 'SSIM Y / Cb / Cr',
+    available: (r) => r?.channels != null,
+    parts: (r) => Object.entries(CHANNEL_LABELS).map(([key, label]) => `${label}:${r.channels[key].ssim?.toFixed(4) ?? '-'}`),
+    compare: (a, b) => meanChannel(a, 'ssim') - meanChannel(b, 'ssim')
+  },
+  msssim: {
+    label: 'MS-SSIM',
+    available: (r) => r?.msssim != null,
+    parts: (r) => [r.msssim.toFixed(4)],
+    compare: (a, b) => a.msssim - b.msssim
+  },
+  deltaE: {
+    label: 'ΔE00 (mean, lower is better)',
+    available: (r) => r?.deltaE != null,
+    parts: (r) => [`ΔE:${r.deltaE.toFixed(3)}`],
+    compare: (a, b) => b.deltaE - a.deltaE
+  }
+};
+
+function meanChannel(engineResult, key) {
+  const values = Object.keys(CHANNEL_LABELS).map(channel => engineResult.channels?.[channel]?.[key] ?? 0);
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function QualityValue({ label, engineResult, metric, wins }) {
+  if (!metric.available(engineResult)) return null;
+  return (
+    <div className={`quality-value ${wins ? 'quality-winner' : ''}`}>
+      <span className="label">{label}:</span>
+      {metric.parts(engineResult).map((part, idx) => (
+        <span key={idx}>
+          {idx > 0 && <span className="metric-sep">/</span>}
+          <span className="metric">{part}</span>
+        </span>
+      ))}
+      {wins && <span className="winner-indicator-quality">✓ Better</span>}
+    </div>
+  );
+}
+
+function getMaxTime(results, engines) {
   let max = 0;
   results.forEach(r => {
-    if (r.lazyImage?.time) max = Math.max(max, r.lazyImage.time);
-    if (r.sharp?.time) max = Math.max(max, r.sharp.time);
+    engines.forEach(({ id }) => {
+      if (r[id]?.time) max = Math.max(max, r[id].time);
+    });
   });
   return max || 100;
 }
 
-function getMaxSize(results) {
+// 処理段階ごとの時間（runOptions.phases）の積み上げ棒の区間
+// decode / encode を計れないエンジンは、メモリ上で通しで実行した時間（pipeline）と書き出しの2区間
+const PHASE_SEGMENTS = {
+  decode: { label: 'Decode', color: '#58a6ff' },
+  transform: { label: 'Transform', color: '#d29922' },
+  encode: { label: 'Encode', color: '#3fb950' },
+  pipeline: { label: 'Decode → encode (in memory)', color: '#8b949e' },
+  write: { label: 'Write', color: '#f74c00' }
+};
+
+function phaseSegments(phases) {
+  const keys = phases.decode != null ? ['decode', 'transform', 'encode', 'write'] : ['pipeline', 'write'];
+  return keys.filter(key => phases[key] != null).map(key => ({ key, value: phases[key], ...PHASE_SEGMENTS[key] }));
+}
+
+function getMaxPhaseTotal(results, engines) {
+  let max = 0;
+  results.forEach(r => {
+    engines.forEach(({ id }) => {
+      if (r[id]?.phases) max = Math.max(max, phaseSegments(r[id].phases).reduce((sum, { value }) => sum + value, 0));
+    });
+  });
+  return max || 1;
+}
+
+function getMaxSize(results, engines) {
   let max = 0;
   results.forEach(r => {
-    if (r.lazyImage?.size) max = Math.max(max, r.lazyImage.size);
-    if (r.sharp?.size) max = Math.max(max, r.sharp.size);
+    engines.forEach(({ id }) => {
+      if (r[id]?.size) max = Math.max(max, r[id].size);
+    });
   });
   return max || 1;
 }
@@ -59,7 +325,15 @@ function App() {
   const [selectedPreview, setSelectedPreview] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
-  const [versions, setVersions] = useState({ lazyImage: 'unknown', sharp: 'unknown' });
+  const [versions, setVersions] = useState({});
+  const [runOptions, setRunOptions] = useState({ warmup: 1, iterations: 5, isolation: 'none', phases: false });
+  const [specText, setSpecText] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [progress, setProgress] = useState(null);
+  // コーパスセッション表示中に個別画像の結果を開いている場合のインデックス
+  const [corpusImageIndex, setCorpusImageIndex] = useState(null);
+  const [syntheticPresets, setSyntheticPresets] = useState([]);
+  const [synthetic, setSynthetic] = useState({ preset: 'gradient', width: 1920, height: 1080, seed: 1 });
 
   // バージョン情報を取得
   useEffect(() => {
@@ -67,39 +341,218 @@ function App() {
       try {
         const response = await fetch('/api/versions');
         if (response.ok) {
-          const data = await response.json();
-          setVersions({
-            lazyImage: data.lazyImage || 'unknown',
-            sharp: data.sharp || 'unknown'
-          });
+          // node 以外はエンジンIDごとのバージョン
+          const { node, ...engineVersions } = await response.json();
+          setVersions(engineVersions);
         } else {
           console.warn('Failed to fetch versions:', response.status);
-          setVersions({ lazyImage: 'unknown', sharp: 'unknown' });
         }
       } catch (err) {
         console.error('Error fetching versions:', err);
-        setVersions({ lazyImage: 'unknown', sharp: 'unknown' });
       }
     };
     fetchVersions();
   }, []);
 
-  const handleUpload = useCallback(async (file) => {
+  // 保存済みセッション一覧を取得
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch('/api/sessions');
+      if (response.ok) {
+        const data = await response.json();
+        setSessions(data.sessions || []);
+      } else {
+        console.warn('Failed to fetch sessions:', response.status);
+      }
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  // 合成画像のプリセット一覧を取得
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const response = await fetch('/api/synthetic/presets');
+        if (response.ok) {
+          const data = await response.json();
+          setSyntheticPresets(data.presets || []);
+        }
+      } catch (err) {
+        console.error('Error fetching synthetic presets:', err);
+      }
+    };
+    fetchPresets();
+  }, []);
+
+  const selectFirstResult = (data) => {
+    // デフォルトで最初のカテゴリの最初の結果を選択
+    if (data.categories?.[0]?.results?.[0]) {
+      setSelectedPreview({
+        category: 0,
+        result: 0
+      });
+    } else {
+      setSelectedPreview(null);
+    }
+  };
+
+  const handleLoadSession = useCallback(async (id) => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/sessions/${id}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(apiErrorMessage(data, response.status));
+      }
+      setResults(data);
+      setSelectedFile(null);
+      setCorpusImageIndex(null);
+      selectFirstResult(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // ベースライン（比較の基準）を設定・解除する
+  const handleToggleBaseline = useCallback(async (id, isBaseline) => {
+    setError(null);
+    try {
+      const response = isBaseline
+        ? await fetch('/api/baseline', { method: 'DELETE' })
+        : await fetch(`/api/sessions/${id}/baseline`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(apiErrorMessage(data, response.status));
+      }
+      fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchSessions]);
+
+  const handleDeleteSession = useCallback(async (id) => {
+    if (!window.confirm('Delete this session and its output files?')) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/sessions/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(apiErrorMessage(data, response.status));
+      }
+      setResults(prev => (prev?.id === id ? null : prev));
+      fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchSessions]);
+
+  // 登録済みジョブの進捗を追い、完了したセッションを表示する
+  const followBenchmarkJob = useCallback(async (job, isCorpus = false) => {
+    setProgress({ status: 'queued', completed: 0 });
+
+    // 進捗イベントを受け取りながら結果テーブルを1行ずつ埋める
+    // コーパスの場合は画像ごとの進捗のみ表示し、完了時に集計結果を表示する
+    const session = await followJob(job.jobId, (event) => {
+      if (isCorpus && event.imageIndex != null) {
+        if (event.type === 'operation-start') {
+          setProgress(prev => ({ ...prev, current: { operation: event.operation, engine: event.engine, phase: event.phase, quality: event.quality } }));
+        } else if (event.type === 'result') {
+          setProgress(prev => ({ ...prev, completed: (prev?.completed || 0) + 1 }));
+        }
+        return;
+      }
+      switch (event.type) {
+        case 'queued':
+          setProgress(prev => ({ ...prev, status: 'queued', position: event.position }));
+          break;
+        case 'started':
+          setProgress(prev => ({ ...prev, status: 'running' }));
+          break;
+        case 'image-start':
+          setProgress(prev => ({
+            ...prev,
+            current: null,
+            image: { index: event.imageIndex, total: event.total, filename: event.filename }
+          }));
+          break;
+        case 'benchmark-start':
+          setResults({
+            id: job.sessionId,
+            original: event.original,
+            engines: event.engines,
+            versions: event.versions,
+            runOptions: event.runOptions,
+            spec: event.spec,
+            categories: []
+          });
+          break;
+        case 'category-start':
+          setResults(prev => prev && ({
+            ...prev,
+            categories: [...prev.categories, { name: event.name, description: event.description, highlight: event.highlight, kind: event.kind, results: [] }]
+          }));
+          break;
+        case 'operation-start':
+          setProgress(prev => ({ ...prev, current: { operation: event.operation, engine: event.engine, phase: event.phase, quality: event.quality } }));
+          break;
+        case 'result':
+          setResults(prev => prev && ({
+            ...prev,
+            categories: prev.categories.map((category, idx) => (
+              idx === event.categoryIndex ? { ...category, results: [...category.results, event.result] } : category
+            ))
+          }));
+          setSelectedPreview(prev => prev ?? { category: event.categoryIndex, result: 0 });
+          setProgress(prev => ({ ...prev, completed: (prev?.completed || 0) + 1 }));
+          break;
+        default:
+          break;
+      }
+    });
+
+    setResults(session);
+    selectFirstResult(session);
+    fetchSessions();
+  }, [fetchSessions]);
+
+  // 画像1枚なら通常のベンチマーク、複数枚またはzipならコーパスベンチマーク
+  const handleUpload = useCallback(async (files) => {
     // File size check (10GB limit)
     const maxSize = 10 * 1024 * 1024 * 1024; // 10GB
-    if (file.size > maxSize) {
-      setError(`File size too large. Maximum size is 10GB. Current file: ${formatBytes(file.size)}`);
+    const oversized = files.find(file => file.size > maxSize);
+    if (oversized) {
+      setError(`File size too large. Maximum size is 10GB. Current file: ${formatBytes(oversized.size)}`);
       return;
     }
 
+    const isCorpus = files.length > 1 || isZipFile(files[0]);
+
     setLoading(true);
     setError(null);
     setResults(null);
-    setSelectedFile(file);
+    setSelectedPreview(null);
+    setCorpusImageIndex(null);
+    setSelectedFile(isCorpus ? { name: `${files.length} files`, size: files.reduce((sum, f) => sum + f.size, 0) } : files[0]);
     setUploadProgress(0);
 
     const formData = new FormData();
-    formData.append('image', file);
+    formData.append('warmup', String(runOptions.warmup));
+    formData.append('iterations', String(runOptions.iterations));
+    formData.append('isolation', runOptions.isolation);
+    formData.append('phases', String(runOptions.phases));
+    if (specText.trim()) {
+      formData.append('spec', specText.trim());
+    }
+    if (isCorpus) {
+      files.forEach(file => formData.append('images', file));
+    } else {
+      formData.append('image', files[0]);
+    }
 
     try {
       // XMLHttpRequestを使用して進捗を取得
@@ -123,8 +576,7 @@ function App() {
             }
           } else {
             try {
-              const errorData = JSON.parse(xhr.responseText);
-              reject(new Error(errorData.error || `HTTP ${xhr.status}: ${xhr.statusText}`));
+              reject(new Error(apiErrorMessage(JSON.parse(xhr.responseText), xhr.status, xhr.statusText)));
             } catch (e) {
               reject(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
             }
@@ -139,7 +591,7 @@ function App() {
           reject(new Error('Upload aborted'));
         });
 
-        xhr.open('POST', '/api/benchmark');
+        xhr.open('POST', isCorpus ? '/api/benchmark/corpus' : '/api/benchmark');
         xhr.send(formData);
       });
 
@@ -147,63 +599,163 @@ function App() {
         throw new Error('Benchmark failed');
       }
 
-      const data = await response.json();
-      setResults(data);
+      const job = await response.json();
       setUploadProgress(100);
-      
-      // デフォルトで最初のカテゴリの最初の結果を選択
-      if (data.categories?.[0]?.results?.[0]) {
-        setSelectedPreview({
-          category: 0,
-          result: 0
-        });
-      }
+      await followBenchmarkJob(job, isCorpus);
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
       setUploadProgress(0);
+      setProgress(null);
     }
-  }, []);
+  }, [runOptions, specText, followBenchmarkJob]);
+
+  // 合成画像を生成してベンチマーク（アップロードなし）
+  const handleSynthetic = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setResults(null);
+    setSelectedPreview(null);
+    setCorpusImageIndex(null);
+    setSelectedFile(null);
+
+    try {
+      const response = await fetch('/api/benchmark/synthetic', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...synthetic,
+          ...runOptions,
+          ...(specText.trim() ? { spec: specText.trim() } : {})
+        })
+      });
+      const job = await response.json();
+      if (!response.ok) {
+        throw new Error(apiErrorMessage(job, response.status));
+      }
+      await followBenchmarkJob(job);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setProgress(null);
+    }
+  }, [synthetic, runOptions, specText, followBenchmarkJob]);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setDragOver(false);
-    const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('image/')) {
-      setSelectedFile(file);
-      handleUpload(file);
+    const files = Array.from(e.dataTransfer.files).filter(file => IMAGE_TYPES.includes(file.type) || isZipFile(file));
+    if (files.length) {
+      handleUpload(files);
     }
   }, [handleUpload]);
 
   const handleFileChange = useCallback((e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setSelectedFile(file);
-      handleUpload(file);
+    const files = Array.from(e.target.files);
+    if (files.length) {
+      handleUpload(files);
     } else {
       setSelectedFile(null);
     }
   }, [handleUpload]);
 
+  const handleOpenCorpusImage = useCallback((index) => {
+    setCorpusImageIndex(index);
+    selectFirstResult(results.images[index]);
+  }, [results]);
+
+  const baselineId = sessions.find(session => session.baseline)?.id ?? null;
+
+  // 表示対象（コーパスの場合は選択中の画像の結果）
+  const isCorpusResult = results?.kind === 'corpus';
+  const view = isCorpusResult ? (results.images[corpusImageIndex] ?? null) : results;
+
   const getSelectedImages = () => {
-    if (!selectedPreview || !results) return null;
-    const category = results.categories[selectedPreview.category];
+    if (!selectedPreview || !view) return null;
+    const category = view.categories[selectedPreview.category];
+    // RDスイープは点ごとに出力があるため、メタデータ監査は時間を計測しないため、プレビューの対象外
+    if (category?.kind === 'rdSweep' || category?.kind === 'metadata') return null;
     const result = category?.results[selectedPreview.result];
     return result;
   };
 
+  // ヘッダーのバージョン表示（結果がなければ /api/versions のエンジン一覧）
+  const badgeEngines = results?.engines?.length ? results.engines
+    : Object.keys(versions).length ? Object.keys(versions).map(id => ({ id, label: ENGINE_LABELS[id] || (id.startsWith('lazyImage_') ? 'lazy-image' : id) }))
+      : DEFAULT_ENGINES;
+
   return (
     <div className="app">
       <header className="header">
         <h1>lazy-image vs sharp</h1>
         <p>Real-time benchmark comparison of image processing libraries</p>
         <div className="version-badges">
-          <span className="badge rust">lazy-image {results?.versions?.lazyImage || versions.lazyImage}</span>
-          <span className="badge sharp">sharp {results?.versions?.sharp || versions.sharp}</span>
+          {badgeEngines.map(engine => (
+            <span key={engine.id} className={`badge ${engineBadge(engine.id)}`}>
+              {describeEngineVersion(engine, results?.versions?.[engine.id] || versions[engine.id] || 'unknown')}
+            </span>
+          ))}
         </div>
       </header>
 
+      <div className="run-options">
+        <label>
+          Warm-up runs
+          <input
+            type="number"
+            min="0"
+            max="10"
+            value={runOptions.warmup}
+            disabled={loading}
+            onChange={(e) => setRunOptions(prev => ({ ...prev, warmup: Math.max(0, parseInt(e.target.value, 10) || 0) }))}
+          />
+        </label>
+        <label>
+          Measured iterations
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={runOptions.iterations}
+            disabled={loading}
+            onChange={(e) => setRunOptions(prev => ({ ...prev, iterations: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+          />
+        </label>
+        <label>
+          Isolation
+          <select
+            value={runOptions.isolation}
+            disabled={loading}
+            onChange={(e) => setRunOptions(prev => ({ ...prev, isolation: e.target.value }))}
+          >
+            <option value="none">Same process</option>
+            <option value="process">Child process per run (peak RSS)</option>
+          </select>
+        </label>
+        <label className="run-option-checkbox">
+          <input
+            type="checkbox"
+            checked={runOptions.phases}
+            disabled={loading}
+            onChange={(e) => setRunOptions(prev => ({ ...prev, phases: e.target.checked }))}
+          />
+          Phase breakdown (decode / transform / encode / write)
+        </label>
+      </div>
+
+      <details className="spec-editor">
+        <summary>Benchmark spec (JSON, optional)</summary>
+        <textarea
+          value={specText}
+          disabled={loading}
+          spellCheck={false}
+          placeholder={SPEC_PLACEHOLDER}
+          onChange={(e) => setSpecText(e.target.value)}
+        />
+      </details>
+
       <div
         className={`uploader ${dragOver ? 'dragover' : ''}`}
         onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
@@ -214,6 +766,7 @@ function App() {
         <div className="uploader-icon">📸</div>
         <h3>Drag & Drop to upload image</h3>
         <p>or click to select file (JPEG, PNG, WebP, AVIF)</p>
+        <p className="uploader-note">Select several images or a .zip to run a corpus benchmark</p>
         <p className="uploader-note">Supports up to 10GB</p>
         {selectedFile && (
           <div className="selected-file-info">
@@ -227,15 +780,60 @@ function App() {
         <input
           id="file-input"
           type="file"
-          accept="image/jpeg,image/png,image/webp,image/avif"
+          accept="image/jpeg,image/png,image/webp,image/avif,.zip,application/zip"
+          multiple
           onChange={handleFileChange}
         />
       </div>
 
+      {syntheticPresets.length > 0 && (
+        <details className="synthetic-generator">
+          <summary>Or generate a synthetic test image</summary>
+          <div className="run-options">
+            <label>
+              Preset
+              <select
+                value={synthetic.preset}
+                disabled={loading}
+                onChange={(e) => setSynthetic(prev => ({ ...prev, preset: e.target.value }))}
+              >
+                {syntheticPresets.map(preset => (
+                  <option key={preset.name} value={preset.name} title={preset.description}>{preset.name}</option>
+                ))}
+              </select>
+            </label>
+            {['width', 'height', 'seed'].map(key => (
+              <label key={key}>
+                {key[0].toUpperCase() + key.slice(1)}
+                <input
+                  type="number"
+                  min={key === 'seed' ? 0 : 1}
+                  value={synthetic[key]}
+                  disabled={loading}
+                  onChange={(e) => setSynthetic(prev => ({ ...prev, [key]: Math.max(key === 'seed' ? 0 : 1, parseInt(e.target.value, 10) || 0) }))}
+                />
+              </label>
+            ))}
+            <button className="synthetic-run" disabled={loading} onClick={handleSynthetic}>Run benchmark</button>
+          </div>
+          <p className="synthetic-description">
+            {syntheticPresets.find(preset => preset.name === synthetic.preset)?.description}
+          </p>
+        </details>
+      )}
+
+      <SessionHistory
+        sessions={sessions}
+        currentId={results?.id}
+        onLoad={handleLoadSession}
+        onDelete={handleDeleteSession}
+        onToggleBaseline={handleToggleBaseline}
+      />
+
       {loading && (
         <div className="loading">
           <div className="spinner"></div>
-          <p>Running benchmark...</p>
+          <p>{describeProgress(progress)}</p>
           {uploadProgress > 0 && uploadProgress < 100 && (
             <div className="upload-progress">
               <div className="progress-bar-container">
@@ -256,34 +854,65 @@ function App() {
         </div>
       )}
 
-      {results && (
+      {!loading && results?.completedAt && <ExportLinks sessionId={results.id} />}
+
+      {!loading && results?.id && baselineId && baselineId !== results.id && (
+        <CompareSection key={`${baselineId}/${results.id}`} baseId={baselineId} targetId={results.id} />
+      )}
+
+      {isCorpusResult && (
+        <CorpusSummary
+          corpus={results}
+          selectedIndex={corpusImageIndex}
+          onOpenImage={handleOpenCorpusImage}
+        />
+      )}
+
+      {view && !view.error && (
         <>
           <div className="original-info">
             <div className="original-details">
               <h3>Original Image</h3>
               <div className="original-stats">
-                <span>📁 {results.original.filename}</span>
-                <span>📐 {results.original.width} × {results.original.height}</span>
-                <span>💾 {formatBytes(results.original.size)}</span>
-                <span>🖼️ {results.original.format?.toUpperCase()}</span>
+                <span>📁 {view.original.filename}</span>
+                <span>📐 {view.original.width} × {view.original.height}</span>
+                <span>💾 {formatBytes(view.original.size)}</span>
+                <span>🖼️ {view.original.format?.toUpperCase()}</span>
+                {view.runOptions && (
+                  <span>🔁 {view.runOptions.iterations} runs (+{view.runOptions.warmup} warm-up){view.runOptions.isolation === 'process' ? ', isolated' : ''}{view.runOptions.phases ? ', phase breakdown' : ''}</span>
+                )}
               </div>
+              {view.spec && (
+                <details className="resolved-spec">
+                  <summary>Resolved spec</summary>
+                  <pre>{JSON.stringify(view.spec, null, 2)}</pre>
+                </details>
+              )}
             </div>
           </div>
 
           <div className="results">
-            {results.categories.map((category, catIdx) => (
-              <CategorySection
-                key={catIdx}
-                category={category}
-                catIdx={catIdx}
-                selectedPreview={selectedPreview}
-                setSelectedPreview={setSelectedPreview}
-              />
+            {view.categories.map((category, catIdx) => (
+              category.kind === 'rdSweep' ? (
+                <RdSweepSection key={catIdx} category={category} engines={getEngines(view)} />
+              ) : category.kind === 'metadata' ? (
+                <MetadataAuditSection key={catIdx} category={category} engines={getEngines(view)} />
+              ) : (
+                <CategorySection
+                  key={catIdx}
+                  category={category}
+                  engines={getEngines(view)}
+                  catIdx={catIdx}
+                  selectedPreview={selectedPreview}
+                  setSelectedPreview={setSelectedPreview}
+                />
+              )
             ))}
           </div>
 
           <PreviewSection
-            results={results}
+            results={view}
+            engines={getEngines(view)}
             selectedPreview={selectedPreview}
             setSelectedPreview={setSelectedPreview}
             getSelectedImages={getSelectedImages}
@@ -294,9 +923,405 @@ function App() {
   );
 }
 
-function CategorySection({ category, catIdx, selectedPreview, setSelectedPreview }) {
-  const maxTime = getMaxTime(category.results);
-  const maxSize = getMaxSize(category.results);
+// 表示中のセッションのエクスポート（GET /api/sessions/:id/export）
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'html', label: 'HTML report' }
+];
+
+function ExportLinks({ sessionId }) {
+  return (
+    <div className="export-links">
+      <span>Export:</span>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <a key={format} href={`/api/sessions/${sessionId}/export?format=${format}`} download>⬇ {label}</a>
+      ))}
+    </div>
+  );
+}
+
+function SessionHistory({ sessions, currentId, onLoad, onDelete, onToggleBaseline }) {
+  if (!sessions.length) return null;
+
+  return (
+    <details className="session-history">
+      <summary>Saved sessions ({sessions.length})</summary>
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className={session.id === currentId ? 'active' : ''}>
+            <button className="session-load" onClick={() => onLoad(session.id)}>
+              <span className="session-name">
+                {session.kind === 'corpus'
+                  ? `Corpus (${session.imageCount} images)`
+                  : session.upload?.originalName || session.original?.filename || session.id}
+              </span>
+              <span className="session-meta">
+                {new Date(session.createdAt).toLocaleString()}
+                {session.kind !== 'corpus' && session.original && ` · ${session.original.width} × ${session.original.height}`}
+                {` · ${session.operationCount} ops`}
+              </span>
+            </button>
+            <button
+              className={`session-baseline ${session.baseline ? 'active' : ''}`}
+              title={session.baseline ? 'Clear baseline' : 'Set as baseline'}
+              onClick={() => onToggleBaseline(session.id, session.baseline)}
+            >
+              {session.baseline ? '★' : '☆'}
+            </button>
+            <button className="session-delete" title="Delete session" onClick={() => onDelete(session.id)}>🗑</button>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// ベースラインとの差分の表示項目（time / size / memory は変化率、SSIM は差）
+const COMPARE_METRICS = [
+  { key: 'time', label: 'Time', format: (d) => formatChange(d.change) },
+  { key: 'size', label: 'Size', format: (d) => formatChange(d.change) },
+  { key: 'memory', label: 'Mem', format: (d) => formatChange(d.change) },
+  { key: 'ssim', label: 'SSIM', format: (d) => `${d.delta > 0 ? '+' : ''}${d.delta.toFixed(4)}` }
+];
+
+// しきい値の入力欄（time / size / memory は %、ssim はそのままの値）
+const THRESHOLD_FIELDS = [
+  { key: 'time', label: 'Time +%', percent: true },
+  { key: 'size', label: 'Size +%', percent: true },
+  { key: 'memory', label: 'Memory +%', percent: true },
+  { key: 'ssim', label: 'SSIM −', percent: false }
+];
+
+function formatChange(change) {
+  if (change == null) return '-';
+  const percent = change * 100;
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+// 差分の向き（良くなった / 悪くなった）。SSIM は上がると改善、それ以外は下がると改善
+function deltaClass(key, detail) {
+  if (detail.regressed) return 'regression';
+  const improved = key === 'ssim' ? detail.delta > 0 : detail.delta < 0;
+  return improved ? 'improvement' : '';
+}
+
+// 表示中のセッションとベースラインの差分（GET /api/compare）
+function CompareSection({ baseId, targetId }) {
+  const [thresholds, setThresholds] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchComparison = async () => {
+      try {
+        const params = new URLSearchParams({ base: baseId, target: targetId, ...thresholds });
+        const response = await fetch(`/api/compare?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(apiErrorMessage(data, response.status));
+        }
+        setComparison(data);
+        setError(null);
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message);
+      }
+    };
+    fetchComparison();
+    return () => controller.abort();
+  }, [baseId, targetId, thresholds]);
+
+  const current = thresholds ?? comparison?.thresholds;
+  const updateThreshold = (key, percent, value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) return;
+    setThresholds({ ...current, [key]: percent ? number / 100 : number });
+  };
+
+  return (
+    <details className="compare-view" open>
+      <summary>
+        Compared with baseline
+        {comparison && ` · ${comparison.summary.regressed} of ${comparison.summary.compared} operations regressed`}
+      </summary>
+      {error && <p className="error-text">{error}</p>}
+      {comparison && !error && (
+        <>
+          {current && (
+            <div className="run-options compare-thresholds">
+              {THRESHOLD_FIELDS.map(({ key, label, percent }) => (
+                <label key={key}>
+                  {label}
+                  <input
+                    type="number"
+                    min="0"
+                    step={percent ? 1 : 0.001}
+                    value={percent ? +(current[key] * 100).toFixed(2) : current[key]}
+                    onChange={(e) => updateThreshold(key, percent, e.target.value)}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="compare-meta">
+            Baseline {new Date(comparison.base.createdAt).toLocaleString()}
+            {comparison.engines.map(({ id, label }) => (
+              comparison.base.versions?.[id] !== comparison.target.versions?.[id]
+                ? ` · ${label} ${comparison.base.versions?.[id] ?? '-'} → ${comparison.target.versions?.[id] ?? '-'}`
+                : ''
+            ))}
+          </p>
+          {comparison.warnings.map(warning => (
+            <p key={warning} className="compare-warning">⚠️ {warning}</p>
+          ))}
+          <table className="result-table">
+            <thead>
+              <tr>
+                <th>Operation</th>
+                {comparison.engines.map(engine => (
+                  <th key={engine.id}>{engine.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.operations.map(op => (
+                <tr key={`${op.image}/${op.category}/${op.operation}`} className={op.status === 'regressed' ? 'regressed' : ''}>
+                  <td className="operation-name" title={op.category}>
+                    {op.image && <span className="compare-image">{op.image} · </span>}
+                    {op.operation}
+                  </td>
+                  {comparison.engines.map(({ id }) => {
+                    const engine = op.engines?.[id];
+                    if (!engine) {
+                      return <td key={id} className="result-cell not-supported">{op.status === 'added' ? 'new operation' : 'not in this run'}</td>;
+                    }
+                    if (engine.status !== 'compared') {
+                      return <td key={id} className="result-cell not-supported">{engine.status === 'unmeasured' ? '×' : engine.status}</td>;
+                    }
+                    return (
+                      <td key={id} className="result-cell compare-cell">
+                        {COMPARE_METRICS.filter(({ key }) => engine[key]).map(({ key, label, format }) => (
+                          <div key={key} className={deltaClass(key, engine[key])} title={`${engine[key].base} → ${engine[key].target}`}>
+                            {label} {format(engine[key])}
+                          </div>
+                        ))}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </details>
+  );
+}
+
+// 以前の集計形式（lazy-image と sharp の2エンジン固定）を comparisons の形に揃える
+function getComparisons(op) {
+  if (op.comparisons) return op.comparisons;
+  return {
+    lazyImage: {
+      against: 'sharp',
+      pairedImages: op.pairedImages,
+      bytesSaved: op.lazyImageBytesSavedVsSharp,
+      geoMeanSpeedup: op.geoMeanSpeedup,
+      winRates: {
+        faster: op.winRates.lazyImageFaster,
+        smaller: op.winRates.lazyImageSmaller,
+        betterSsim: op.winRates.lazyImageBetterSsim
+      }
+    }
+  };
+}
+
+// コーパス全体の集計（操作ごと、基準エンジンとの比較）と画像一覧
+function CorpusSummary({ corpus, selectedIndex, onOpenImage }) {
+  const { aggregates } = corpus;
+  const labelOf = (id) => getEngines(corpus).find(engine => engine.id === id)?.label || id;
+
+  return (
+    <div className="category corpus-summary">
+      <div className="category-header">
+        <div>
+          <h2>Corpus Results</h2>
+          <p>
+            {aggregates.images} images · {aggregates.succeeded} succeeded
+            {aggregates.failed > 0 && ` · ${aggregates.failed} failed`}
+            {` · ${formatBytes(aggregates.totalOriginalBytes)} total`}
+          </p>
+        </div>
+      </div>
+      <div className="category-content">
+        <table className="result-table">
+          <thead>
+            <tr>
+              <th>Operation</th>
+              <th>Engine</th>
+              <th>Images</th>
+              <th>Speedup (geo. mean)</th>
+              <th>Faster</th>
+              <th>Smaller</th>
+              <th>Bytes saved</th>
+              <th>Mean SSIM (engine / baseline)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {aggregates.operations.flatMap(op => Object.entries(getComparisons(op)).map(([id, comparison]) => (
+              <tr key={`${op.category}/${op.operation}/${id}`}>
+                <td className="operation-name" title={op.category}>{op.operation}</td>
+                <td className="result-cell">{labelOf(id)} vs {labelOf(comparison.against)}</td>
+                <td className="result-cell">{comparison.pairedImages}/{op.images}</td>
+                <td className={`result-cell ${comparison.geoMeanSpeedup > 1 ? 'winner' : ''}`}>
+                  {comparison.geoMeanSpeedup != null ? `${comparison.geoMeanSpeedup.toFixed(2)}×` : '-'}
+                </td>
+                <td className="result-cell">{formatRate(comparison.winRates.faster)}</td>
+                <td className="result-cell">{formatRate(comparison.winRates.smaller)}</td>
+                <td className={`result-cell ${comparison.bytesSaved > 0 ? 'winner' : ''}`}>
+                  {comparison.bytesSaved < 0 ? '-' : ''}{formatBytes(Math.abs(comparison.bytesSaved))}
+                </td>
+                <td className="result-cell">
+                  {op.engines[id]?.meanSsim?.toFixed(4) ?? '-'} / {op.engines[comparison.against]?.meanSsim?.toFixed(4) ?? '-'}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+
+        <ul className="corpus-images">
+          {corpus.images.map((image, index) => (
+            <li key={index} className={index === selectedIndex ? 'active' : ''}>
+              {image.error ? (
+                <span className="corpus-image-error" title={image.error}>⚠️ {image.originalName}: {image.error}</span>
+              ) : (
+                <button onClick={() => onOpenImage(index)}>
+                  {image.originalName} · {image.original.width} × {image.original.height} · {formatBytes(image.original.size)}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// EXIF の向きのテストの判定（inconclusive: タグを無視しても同じに見える画像のため判定できない）
+const ORIENTATION_STATUS_LABELS = {
+  pass: '✓ Upright',
+  fail: '✗ Wrong orientation',
+  inconclusive: '? Inconclusive'
+};
+
+// 1エンジン分の結果セル（wins: このエンジンが最良だった項目）
+function EngineResultCell({ engineResult, wins }) {
+  if (!engineResult?.supported) {
+    return <td className="result-cell not-supported">×</td>;
+  }
+
+  return (
+    <td className={`result-cell ${wins.time || wins.size || wins.memory ? 'winner' : ''}`}>
+      <div className="time-value">
+        {engineResult.time != null ? (
+          <>
+            <span>{engineResult.time}ms</span>
+            <TimeSpread stats={engineResult.stats} />
+            {engineResult.totalTime != null && engineResult.totalTime !== engineResult.time && (
+              <span className="total-time"> (Total: {engineResult.totalTime}ms)</span>
+            )}
+            {/* 以前のセッションの結果（中間形式の導入前は入力ごとに JPEG q100 へ変換していた） */}
+            {engineResult.avifConversionTime != null && (
+              <span className="avif-conversion-time" title="AVIF to JPEG conversion time">
+                [AVIF conv: {engineResult.avifConversionTime}ms]
+              </span>
+            )}
+            {wins.time && <span className="winner-indicator">✓ Faster</span>}
+          </>
+        ) : (
+          <span className="error-text">Error: {engineResult.error || 'Processing failed'}</span>
+        )}
+      </div>
+      <ThroughputValue throughput={engineResult.throughput} wins={wins.throughput} />
+      <MatchedQuality equalQuality={engineResult.equalQuality} />
+      <IntermediateInput intermediate={engineResult.intermediate} />
+      {engineResult.size != null && (
+        <div className="size-value">
+          {formatBytes(engineResult.size)}
+          {wins.size && <span className="winner-indicator-size">✓ Smaller</span>}
+        </div>
+      )}
+      {engineResult.dimensions && (
+        <div className="dimensions-value">📐 {engineResult.dimensions.width} × {engineResult.dimensions.height}</div>
+      )}
+      {engineResult.orientation && (
+        <div
+          className={`orientation-status ${engineResult.orientation.status}`}
+          title={`Displayed ${engineResult.orientation.displayed.width} × ${engineResult.orientation.displayed.height}, expected ${engineResult.orientation.expected.width} × ${engineResult.orientation.expected.height} (output orientation tag: ${engineResult.orientation.output ?? 'none'})`}
+        >
+          {ORIENTATION_STATUS_LABELS[engineResult.orientation.status]}
+        </div>
+      )}
+      {engineResult.memoryUsed != null && (
+        <div className="memory-value" title={describeMemory(engineResult)}>
+          💾 {formatMemory(getComparableMemory(engineResult))}
+          {engineResult.memory?.isolated && <span className="memory-kind"> RSS</span>}
+          {wins.memory && <span className="winner-indicator-memory">✓ Less Memory</span>}
+        </div>
+      )}
+    </td>
+  );
+}
+
+// 処理段階ごとの積み上げ棒（差がコーデックと I/O のどちらから来るか）
+function PhaseBars({ result, engines, max }) {
+  return (
+    <div className="bar-container">
+      {engines.map(engine => result[engine.id]?.phases ? (
+        <div key={engine.id} className="bar-wrapper">
+          <span className="bar-label">{engine.label}</span>
+          <div className="phase-bar">
+            {phaseSegments(result[engine.id].phases).map(segment => (
+              <div
+                key={segment.key}
+                className="phase-segment"
+                title={`${segment.label}: ${segment.value}ms`}
+                style={{ width: `${(segment.value / max) * 150}px`, background: segment.color }}
+              ></div>
+            ))}
+          </div>
+        </div>
+      ) : null)}
+    </div>
+  );
+}
+
+// 横棒グラフ（time / size）
+function EngineBars({ result, engines, field, max }) {
+  return (
+    <div className="bar-container">
+      {engines.map(engine => result[engine.id]?.[field] ? (
+        <div key={engine.id} className="bar-wrapper">
+          <span className="bar-label">{engine.label}</span>
+          <div
+            className="bar"
+            style={{ width: `${(result[engine.id][field] / max) * 150}px`, background: engineColor(engines, engine.id) }}
+          ></div>
+        </div>
+      ) : null)}
+    </div>
+  );
+}
+
+function CategorySection({ category, engines, catIdx, selectedPreview, setSelectedPreview }) {
+  const [qualityMetric, setQualityMetric] = useState('ssim');
+  const metric = QUALITY_METRICS[qualityMetric];
+  const maxTime = getMaxTime(category.results, engines);
+  const maxSize = getMaxSize(category.results, engines);
+  const hasPhases = category.results.some(result => engines.some(engine => result[engine.id]?.phases));
+  const maxPhaseTotal = hasPhases ? getMaxPhaseTotal(category.results, engines) : 1;
   const headerClass = category.highlight === 'lazyImage' ? 'lazyImage' 
     : category.highlight === 'sharp' ? 'sharp' : 'neutral';
 
@@ -313,57 +1338,52 @@ function CategorySection({ category, catIdx, selectedPreview, setSelectedPreview
           <thead>
             <tr>
               <th>Operation</th>
-              <th>lazy-image</th>
-              <th>sharp</th>
-              <th className="th-quality">Quality (SSIM / PSNR)</th>
+              {engines.map(engine => (
+                <th key={engine.id}>{engine.label} (median)</th>
+              ))}
+              <th className="th-quality">
+                Quality{' '}
+                <select
+                  className="quality-metric-select"
+                  value={qualityMetric}
+                  onChange={(e) => setQualityMetric(e.target.value)}
+                >
+                  {Object.entries(QUALITY_METRICS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </th>
               <th>Time Comparison</th>
               <th>Size Comparison</th>
+              {hasPhases && (
+                <th>
+                  Phase Breakdown
+                  <div className="phase-legend">
+                    {Object.entries(PHASE_SEGMENTS).map(([key, { label, color }]) => (
+                      <span key={key}><span className="phase-swatch" style={{ background: color }}></span>{label}</span>
+                    ))}
+                  </div>
+                </th>
+              )}
             </tr>
           </thead>
           <tbody>
             {category.results.map((result, resIdx) => {
-              const lazyWinsTime = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.time != null && result.sharp.time != null
-                && result.lazyImage.time < result.sharp.time;
-              const sharpWinsTime = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.time != null && result.sharp.time != null
-                && result.sharp.time < result.lazyImage.time;
-              
-              const lazyWinsSize = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.size != null && result.sharp.size != null
-                && result.lazyImage.size < result.sharp.size;
-              const sharpWinsSize = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.size != null && result.sharp.size != null
-                && result.sharp.size < result.lazyImage.size;
-              
-              // Memory comparison (smaller is better)
-              const lazyWinsMemory = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.memoryUsed != null && result.sharp.memoryUsed != null
-                && result.lazyImage.memoryUsed < result.sharp.memoryUsed;
-              const sharpWinsMemory = result.lazyImage?.supported && result.sharp?.supported 
-                && result.lazyImage.memoryUsed != null && result.sharp.memoryUsed != null
-                && result.sharp.memoryUsed < result.lazyImage.memoryUsed;
-              
-              // Quality comparison (higher is better)
-              // SSIM優先、差が0.001未満の場合はPSNRで比較
-              const lazySSIM = result.lazyImage?.ssim || 0;
-              const sharpSSIM = result.sharp?.ssim || 0;
-              const lazyPSNR = result.lazyImage?.psnr || 0;
-              const sharpPSNR = result.sharp?.psnr || 0;
-              
-              const ssimDiff = Math.abs(lazySSIM - sharpSSIM);
-              let lazyWinsQuality = false;
-              let sharpWinsQuality = false;
-              
-              if (ssimDiff > 0.001) {
-                // SSIMの差が大きい場合はSSIMで判定
-                lazyWinsQuality = lazySSIM > sharpSSIM;
-                sharpWinsQuality = sharpSSIM > lazySSIM;
-              } else if (lazyPSNR > 0 && sharpPSNR > 0) {
-                // SSIMの差が小さい場合はPSNRで判定
-                lazyWinsQuality = lazyPSNR > sharpPSNR;
-                sharpWinsQuality = sharpPSNR > lazyPSNR;
-              }
+              const supported = (id) => result[id]?.supported;
+              const winners = {
+                time: findWinner(engines, id => (supported(id) ? result[id].time : null)),
+                size: findWinner(engines, id => (supported(id) ? result[id].size : null)),
+                // Throughput comparison (higher is better)
+                throughput: findWinner(engines, id => result[id]?.throughput?.opsPerSec, true),
+                // Memory comparison (smaller is better)
+                memory: findWinner(engines, id => (supported(id) ? getComparableMemory(result[id]) : null))
+              };
+
+              // Quality comparison (選択中の指標で、他のすべてのエンジンより良い場合のみ)
+              const rated = engines.filter(engine => metric.available(result[engine.id]));
+              const qualityWinner = rated.length >= 2
+                ? rated.find(engine => rated.every(other => other === engine || metric.compare(result[engine.id], result[other.id]) > 0))?.id
+                : null;
 
               const isSelected = selectedPreview?.category === catIdx && selectedPreview?.result === resIdx;
 
@@ -373,98 +1393,28 @@ function CategorySection({ category, catIdx, selectedPreview, setSelectedPreview
                   onClick={() => setSelectedPreview({ category: catIdx, result: resIdx })}
                   style={{ cursor: 'pointer', background: isSelected ? 'rgba(88, 166, 255, 0.1)' : undefined }}
                 >
-                  <td className="operation-name">{result.operation}</td>
-                  <td className={`result-cell ${lazyWinsTime || lazyWinsSize || lazyWinsMemory ? 'winner' : ''} ${!result.lazyImage?.supported ? 'not-supported' : ''}`}>
-                    {result.lazyImage?.supported ? (
-                      <>
-                        <div className="time-value">
-                          {result.lazyImage.time != null ? (
-                            <>
-                              <span>{result.lazyImage.time}ms</span>
-                              {result.lazyImage.totalTime != null && result.lazyImage.totalTime !== result.lazyImage.time && (
-                                <span className="total-time"> (Total: {result.lazyImage.totalTime}ms)</span>
-                              )}
-                              {result.lazyImage.avifConversionTime != null && (
-                                <span className="avif-conversion-time" title="AVIF to JPEG conversion time">
-                                  [AVIF conv: {result.lazyImage.avifConversionTime}ms]
-                                </span>
-                              )}
-                              {lazyWinsTime && <span className="winner-indicator">✓ Faster</span>}
-                            </>
-                          ) : (
-                            <span className="error-text">Error: {result.lazyImage.error || 'Processing failed'}</span>
-                          )}
-                        </div>
-                        {result.lazyImage.size != null && (
-                          <div className="size-value">
-                            {formatBytes(result.lazyImage.size)}
-                            {lazyWinsSize && <span className="winner-indicator-size">✓ Smaller</span>}
-                          </div>
-                        )}
-                        {result.lazyImage.memoryUsed != null && (
-                          <div className="memory-value" title="Memory usage during processing">
-                            💾 {formatMemory(result.lazyImage.memoryUsed)}
-                            {lazyWinsMemory && <span className="winner-indicator-memory">✓ Less Memory</span>}
-                          </div>
-                        )}
-                      </>
-                    ) : (
-                      '×'
-                    )}
-                  </td>
-                  <td className={`result-cell ${sharpWinsTime || sharpWinsSize || sharpWinsMemory ? 'winner' : ''} ${!result.sharp?.supported ? 'not-supported' : ''}`}>
-                    {result.sharp?.supported ? (
-                      <>
-                        <div className="time-value">
-                          {result.sharp.time != null ? (
-                            <>
-                              <span>{result.sharp.time}ms</span>
-                              {sharpWinsTime && <span className="winner-indicator">✓ Faster</span>}
-                            </>
-                          ) : (
-                            <span className="error-text">Error: {result.sharp.error || 'Processing failed'}</span>
-                          )}
-                        </div>
-                        {result.sharp.size != null && (
-                          <div className="size-value">
-                            {formatBytes(result.sharp.size)}
-                            {sharpWinsSize && <span className="winner-indicator-size">✓ Smaller</span>}
-                          </div>
-                        )}
-                        {result.sharp.memoryUsed != null && (
-                          <div className="memory-value" title="Memory usage during processing">
-                            💾 {formatMemory(result.sharp.memoryUsed)}
-                            {sharpWinsMemory && <span className="winner-indicator-memory">✓ Less Memory</span>}
-                          </div>
-                        )}
-                      </>
-                    ) : (
-                      '×'
-                    )}
+                  <td className="operation-name">
+                    {result.operation}
+                    {/* 出力サイズがエンジン間で異なる場合など（比較の前提が崩れている） */}
+                    {result.warnings?.map((warning, i) => (
+                      <div key={i} className="result-warning">⚠ {warning}</div>
+                    ))}
                   </td>
+                  {engines.map(engine => (
+                    <EngineResultCell
+                      key={engine.id}
+                      engineResult={result[engine.id]}
+                      wins={Object.fromEntries(Object.entries(winners).map(([key, id]) => [key, id === engine.id]))}
+                    />
+                  ))}
                   
                   {/* Quality Column */}
                   <td className="result-cell">
-                    {(result.lazyImage?.ssim != null || result.sharp?.ssim != null) ? (
+                    {rated.length ? (
                        <div className="quality-container">
-                         {result.lazyImage?.ssim != null && (
-                           <div className={`quality-value ${lazyWinsQuality ? 'quality-winner' : ''}`}>
-                             <span className="label">Lazy:</span>
-                             <span className="metric">S:{result.lazyImage.ssim.toFixed(4)}</span>
-                             <span className="metric-sep">/</span>
-                             <span className="metric">P:{result.lazyImage.psnr}dB</span>
-                             {lazyWinsQuality && <span className="winner-indicator-quality">✓ Better</span>}
-                           </div>
-                         )}
-                         {result.sharp?.ssim != null && (
-                           <div className={`quality-value ${sharpWinsQuality ? 'quality-winner' : ''}`}>
-                             <span className="label">Sharp:</span>
-                             <span className="metric">S:{result.sharp.ssim.toFixed(4)}</span>
-                             <span className="metric-sep">/</span>
-                             <span className="metric">P:{result.sharp.psnr}dB</span>
-                             {sharpWinsQuality && <span className="winner-indicator-quality">✓ Better</span>}
-                           </div>
-                         )}
+                         {rated.map(engine => (
+                           <QualityValue key={engine.id} label={engine.label} engineResult={result[engine.id]} metric={metric} wins={qualityWinner === engine.id} />
+                         ))}
                        </div>
                     ) : (
                       <span className="text-secondary">-</span>
@@ -472,49 +1422,16 @@ function CategorySection({ category, catIdx, selectedPreview, setSelectedPreview
                   </td>
 
                   <td>
-                    <div className="bar-container">
-                      {result.lazyImage?.time && (
-                        <div className="bar-wrapper">
-                          <span className="bar-label">lazy-image</span>
-                          <div
-                            className="bar lazy"
-                            style={{ width: `${(result.lazyImage.time / maxTime) * 150}px` }}
-                          ></div>
-                        </div>
-                      )}
-                      {result.sharp?.time && (
-                        <div className="bar-wrapper">
-                          <span className="bar-label">sharp</span>
-                          <div
-                            className="bar sharp"
-                            style={{ width: `${(result.sharp.time / maxTime) * 150}px` }}
-                          ></div>
-                        </div>
-                      )}
-                    </div>
+                    <EngineBars result={result} engines={engines} field="time" max={maxTime} />
                   </td>
                   <td>
-                    <div className="bar-container">
-                      {result.lazyImage?.size && (
-                        <div className="bar-wrapper">
-                          <span className="bar-label">lazy-image</span>
-                          <div
-                            className="bar lazy"
-                            style={{ width: `${(result.lazyImage.size / maxSize) * 150}px` }}
-                          ></div>
-                        </div>
-                      )}
-                      {result.sharp?.size && (
-                        <div className="bar-wrapper">
-                          <span className="bar-label">sharp</span>
-                          <div
-                            className="bar sharp"
-                            style={{ width: `${(result.sharp.size / maxSize) * 150}px` }}
-                          ></div>
-                        </div>
-                      )}
-                    </div>
+                    <EngineBars result={result} engines={engines} field="size" max={maxSize} />
                   </td>
+                  {hasPhases && (
+                    <td>
+                      <PhaseBars result={result} engines={engines} max={maxPhaseTotal} />
+                    </td>
+                  )}
                 </tr>
               );
             })}
@@ -525,7 +1442,242 @@ function CategorySection({ category, catIdx, selectedPreview, setSelectedPreview
   );
 }
 
-function PreviewSection({ results, selectedPreview, setSelectedPreview, getSelectedImages }) {
+// 目盛り用の「きりのよい」間隔（1, 2, 5 × 10^n）
+function niceStep(range, count) {
+  const raw = range / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  return (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+}
+
+// SVGの折れ線グラフ（y軸は0始まり）
+// series: [{ key, label, color, points: [{ x, y, title }] }]
+function LineChart({ title, xLabel, series, formatY }) {
+  const width = 420;
+  const height = 240;
+  const pad = { top: 12, right: 16, bottom: 40, left: 64 };
+  const points = series.flatMap(s => s.points);
+  if (!points.length) return null;
+
+  const xMin = Math.min(...points.map(p => p.x));
+  const xMax = Math.max(...points.map(p => p.x));
+  const yPeak = Math.max(...points.map(p => p.y)) || 1;
+  const yStep = niceStep(yPeak, 4);
+  const yMax = Math.ceil(yPeak / yStep) * yStep;
+  const scaleX = (x) => pad.left + ((x - xMin) / (xMax - xMin || 1)) * (width - pad.left - pad.right);
+  const scaleY = (y) => height - pad.bottom - (y / yMax) * (height - pad.top - pad.bottom);
+
+  const yTicks = [];
+  for (let i = 0; i * yStep <= yMax; i++) yTicks.push(i * yStep);
+  // x軸の目盛りは点の quality を間引いて表示する
+  const xValues = [...new Set(points.map(p => p.x))].sort((a, b) => a - b);
+  const every = Math.ceil(xValues.length / 8);
+  const xTicks = xValues.filter((_, i) => i % every === 0 || i === xValues.length - 1);
+
+  return (
+    <figure className="line-chart">
+      <figcaption>{title}</figcaption>
+      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label={title}>
+        {yTicks.map(y => (
+          <g key={`y${y}`} className="line-chart-grid">
+            <line x1={pad.left} x2={width - pad.right} y1={scaleY(y)} y2={scaleY(y)} />
+            <text x={pad.left - 6} y={scaleY(y)} textAnchor="end" dominantBaseline="middle">{formatY(y)}</text>
+          </g>
+        ))}
+        {xTicks.map(x => (
+          <text key={`x${x}`} className="line-chart-tick" x={scaleX(x)} y={height - pad.bottom + 16} textAnchor="middle">{x}</text>
+        ))}
+        <text className="line-chart-axis" x={(pad.left + width - pad.right) / 2} y={height - 6} textAnchor="middle">{xLabel}</text>
+        {series.map(s => (
+          <g key={s.key}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              points={s.points.map(p => `${scaleX(p.x)},${scaleY(p.y)}`).join(' ')}
+            />
+            {s.points.map(p => (
+              <circle key={p.x} cx={scaleX(p.x)} cy={scaleY(p.y)} r="3" fill={s.color}>
+                <title>{`${s.label}: ${p.title}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+// RDスイープ1フォーマット分のグラフ（サイズ vs quality、エンコード時間 vs quality）
+function RateDistortionChart({ result, engines }) {
+  const pointTime = (point) => point.stats?.median ?? point.time;
+  const seriesFor = (value, describe) => engines
+    .filter(engine => result[engine.id]?.points?.length)
+    .map(engine => ({
+      key: engine.id,
+      label: engine.label,
+      color: engineColor(engines, engine.id),
+      points: result[engine.id].points.map(point => ({ x: point.quality, y: value(point), title: `q${point.quality} → ${describe(point)}` }))
+    }));
+
+  return (
+    <div className="rd-charts">
+      <LineChart
+        title="File size vs quality"
+        xLabel="quality"
+        series={seriesFor(point => point.size, point => `${formatBytes(point.size)} (${point.bpp} bpp${point.ssim != null ? `, SSIM ${point.ssim}` : ''})`)}
+        formatY={formatBytes}
+      />
+      <LineChart
+        title="Encode time vs quality (median)"
+        xLabel="quality"
+        series={seriesFor(pointTime, point => `${pointTime(point)}ms`)}
+        formatY={(ms) => `${parseFloat(ms.toFixed(1))}ms`}
+      />
+    </div>
+  );
+}
+
+function RdSweepSection({ category, engines }) {
+  return (
+    <div className="category">
+      <div className="category-header neutral">
+        <div>
+          <h2>{category.name}</h2>
+          <p>{category.description}</p>
+        </div>
+      </div>
+      <div className="category-content">
+        {category.results.map((result) => {
+          const qualities = [...new Set(engines.flatMap(engine => (result[engine.id]?.points || []).map(p => p.quality)))]
+            .sort((a, b) => a - b);
+
+          return (
+            <div key={result.operation} className="rd-sweep">
+              <h3>{result.operation}</h3>
+              <div className="rd-legend">
+                {engines.map(({ id, label }) => (
+                  <span key={id}>
+                    <span className="rd-legend-swatch" style={{ background: engineColor(engines, id) }}></span>
+                    {label}
+                    {result[id]?.error && <span className="error-text"> Error: {result[id].error}</span>}
+                    {result[id]?.supported === false && <span className="error-text"> (not supported)</span>}
+                  </span>
+                ))}
+              </div>
+              <RateDistortionChart result={result} engines={engines} />
+              <details className="rd-points">
+                <summary>Data points</summary>
+                <table className="result-table">
+                  <thead>
+                    <tr>
+                      <th>Quality</th>
+                      {engines.map(engine => (
+                        <th key={engine.id}>{engine.label} (size / bpp / SSIM / PSNR / median)</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {qualities.map(quality => (
+                      <tr key={quality}>
+                        <td>q{quality}</td>
+                        {engines.map(engine => {
+                          const point = result[engine.id]?.points?.find(p => p.quality === quality);
+                          return (
+                            <td key={engine.id}>
+                              {point ? (
+                                <a href={point.url} target="_blank" rel="noreferrer">
+                                  {formatBytes(point.size)} / {point.bpp} / {point.ssim ?? '-'} / {point.psnr != null ? `${point.psnr}dB` : '-'} / {point.time}ms
+                                </a>
+                              ) : '-'}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// メタデータ監査（ブロックごとの kept / changed / stripped 等と、カラープロファイルの消失）
+const METADATA_BLOCK_LABELS = { exif: 'EXIF', icc: 'ICC', xmp: 'XMP', iptc: 'IPTC' };
+
+function MetadataAuditCell({ engineResult }) {
+  if (!engineResult?.supported) {
+    return <td className="result-cell not-supported">×</td>;
+  }
+  if (engineResult.error) {
+    return <td className="result-cell"><span className="error-text">Error: {engineResult.error}</span></td>;
+  }
+
+  const { blocks, orientation, profile, colour } = engineResult.metadata;
+  return (
+    <td className="result-cell metadata-audit">
+      {Object.entries(METADATA_BLOCK_LABELS).filter(([block]) => blocks[block] !== 'absent').map(([block, label]) => (
+        <span key={block} className={`metadata-status ${blocks[block]}`}>
+          {label} {blocks[block]}
+          {block === 'icc' && profile.input !== profile.output && ` (${profile.input ?? 'none'} → ${profile.output ?? 'none'})`}
+        </span>
+      ))}
+      {orientation.status !== 'absent' && (
+        <span className={`metadata-status ${orientation.status}`}>Orientation {orientation.status}</span>
+      )}
+      {colour && (
+        <span className={`metadata-colour ${colour.profileLost ? 'lost' : ''}`}>
+          ΔE00 {colour.deltaE}{colour.profileLost && ' — colour profile lost'}
+        </span>
+      )}
+      <a href={engineResult.url} target="_blank" rel="noreferrer">{formatBytes(engineResult.size)}</a>
+    </td>
+  );
+}
+
+function MetadataAuditSection({ category, engines }) {
+  return (
+    <div className="category">
+      <div className="category-header neutral">
+        <div>
+          <h2>{category.name}</h2>
+          <p>{category.description}</p>
+        </div>
+      </div>
+      <div className="category-content">
+        <table className="result-table">
+          <thead>
+            <tr>
+              <th>Operation</th>
+              {engines.map(engine => <th key={engine.id}>{engine.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {category.results.map(result => (
+              <tr key={result.operation}>
+                <td className="operation-name">
+                  {result.operation}
+                  {result.warnings?.map(warning => (
+                    <div key={warning} className="result-warning">⚠ {warning}</div>
+                  ))}
+                </td>
+                {engines.map(engine => (
+                  <MetadataAuditCell key={engine.id} engineResult={result[engine.id]} />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function PreviewSection({ results, engines, selectedPreview, setSelectedPreview, getSelectedImages }) {
   const selectedResult = getSelectedImages();
   
   if (!selectedResult) return null;
@@ -535,11 +1687,12 @@ function PreviewSection({ results, selectedPreview, setSelectedPreview, getSelec
       <div className="preview-header">
         <h3>Generated Image Preview</h3>
         <div className="preview-tabs">
-          {results.categories.map((cat, catIdx) => (
+          {results.categories.map((cat, catIdx) => cat.kind !== 'rdSweep' && cat.kind !== 'metadata' && (
             cat.results.map((res, resIdx) => (
               <button
                 key={`${catIdx}-${resIdx}`}
                 className={`preview-tab ${selectedPreview?.category === catIdx && selectedPreview?.result === resIdx ? 'active' : ''}`}
+                title={res.operation}
                 onClick={() => setSelectedPreview({ category: catIdx, result: resIdx })}
               >
                 {res.operation.length > 15 ? res.operation.substring(0, 15) + '...' : res.operation}
@@ -549,58 +1702,43 @@ function PreviewSection({ results, selectedPreview, setSelectedPreview, getSelec
         </div>
       </div>
       <div className="preview-grid">
-        {selectedResult.lazyImage?.url && (
-          <div className="preview-card">
-            <div className="preview-card-header">
-              <h4>lazy-image</h4>
-              <div className="preview-stats">
-                 {selectedResult.lazyImage.time != null ? (
-                   <>
-                     <span>
-                       {selectedResult.lazyImage.time}ms
-                       {selectedResult.lazyImage.totalTime != null && selectedResult.lazyImage.totalTime !== selectedResult.lazyImage.time && (
-                         <span className="total-time"> (Total: {selectedResult.lazyImage.totalTime}ms)</span>
-                       )}
-                       {selectedResult.lazyImage.avifConversionTime != null && (
-                         <span className="avif-conversion-time"> [AVIF: {selectedResult.lazyImage.avifConversionTime}ms]</span>
+        {engines.map(({ id, label }) => {
+          const engineResult = selectedResult[id];
+          if (!engineResult?.url) return null;
+          return (
+            <div key={id} className="preview-card">
+              <div className="preview-card-header">
+                <h4>{label}</h4>
+                <div className="preview-stats">
+                   {engineResult.time != null ? (
+                     <>
+                       <span>
+                         {engineResult.time}ms
+                         {engineResult.totalTime != null && engineResult.totalTime !== engineResult.time && (
+                           <span className="total-time"> (Total: {engineResult.totalTime}ms)</span>
+                         )}
+                         {engineResult.avifConversionTime != null && (
+                           <span className="avif-conversion-time"> [AVIF: {engineResult.avifConversionTime}ms]</span>
+                         )}
+                         {engineResult.intermediate && (
+                           <span className="avif-conversion-time"> [{engineResult.intermediate.format}: {engineResult.intermediate.conversionTime}ms]</span>
+                         )}
+                       </span>
+                       {engineResult.size != null && <span> / {formatBytes(engineResult.size)}</span>}
+                       {engineResult.memoryUsed != null && <span title={describeMemory(engineResult)}> / 💾 {formatMemory(getComparableMemory(engineResult))}</span>}
+                       {engineResult.ssim && (
+                         <span className="preview-quality"> / SSIM: {engineResult.ssim.toFixed(4)}</span>
                        )}
-                     </span>
-                     {selectedResult.lazyImage.size != null && <span> / {formatBytes(selectedResult.lazyImage.size)}</span>}
-                     {selectedResult.lazyImage.memoryUsed != null && <span> / 💾 {formatMemory(selectedResult.lazyImage.memoryUsed)}</span>}
-                     {selectedResult.lazyImage.ssim && (
-                       <span className="preview-quality"> / SSIM: {selectedResult.lazyImage.ssim.toFixed(4)}</span>
-                     )}
-                   </>
-                 ) : (
-                   <span>Error: {selectedResult.lazyImage.error || 'Processing failed'}</span>
-                 )}
+                     </>
+                   ) : (
+                     <span>Error: {engineResult.error || 'Processing failed'}</span>
+                   )}
+                </div>
               </div>
+              <img src={engineResult.url} alt={`${label} output`} />
             </div>
-            <img src={selectedResult.lazyImage.url} alt="lazy-image output" />
-          </div>
-        )}
-        {selectedResult.sharp?.url && (
-          <div className="preview-card">
-            <div className="preview-card-header">
-              <h4>sharp</h4>
-              <div className="preview-stats">
-                 {selectedResult.sharp.time != null ? (
-                   <>
-                     <span>{selectedResult.sharp.time}ms</span>
-                     {selectedResult.sharp.size != null && <span> / {formatBytes(selectedResult.sharp.size)}</span>}
-                     {selectedResult.sharp.memoryUsed != null && <span> / 💾 {formatMemory(selectedResult.sharp.memoryUsed)}</span>}
-                     {selectedResult.sharp.ssim && (
-                       <span className="preview-quality"> / SSIM: {selectedResult.sharp.ssim.toFixed(4)}</span>
-                     )}
-                   </>
-                 ) : (
-                   <span>Error: {selectedResult.sharp.error || 'Processing failed'}</span>
-                 )}
-              </div>
-            </div>
-            <img src={selectedResult.sharp.url} alt="sharp output" />
-          </div>
-        )}
+          );
+        })}
       </div>
     </div>
   );